@@ -0,0 +1,65 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawn } from 'child_process';
+import { sendCommand } from '../core/ControlSocket.js';
+
+export const DAEMON_LOG = 'tuneit-daemon.log';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls until `check()` returns something truthy or the timeout passes
+async function waitFor(check, timeout) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await sleep(200);
+  }
+  return null;
+}
+
+// Re-runs this CLI as `daemon run`, detached from the terminal, with its
+// output appended to the log file. Resolves with the daemon's lock info.
+export async function startDaemon(lock, entryFile) {
+  const running = lock.getRunningInstance();
+  if (running) return { owner: running, alreadyRunning: true };
+
+  fs.mkdirSync(lock.outputDir, { recursive: true });
+  const logPath = path.join(lock.outputDir, DAEMON_LOG);
+  const log = fs.openSync(logPath, 'a');
+
+  const child = spawn(process.execPath, [entryFile, 'daemon', 'run'], {
+    cwd: process.cwd(),
+    detached: true,
+    stdio: ['ignore', log, log]
+  });
+  child.unref();
+  fs.closeSync(log);
+
+  // Ready once it holds the lock and answers on its socket
+  const owner = await waitFor(async () => {
+    const candidate = lock.getRunningInstance();
+    if (!candidate) return null;
+    try {
+      await sendCommand(candidate.socketPath, 'status', {}, { timeout: 1000 });
+      return candidate;
+    } catch {
+      return null;
+    }
+  }, 10000);
+
+  if (!owner) throw new Error(`Daemon did not start, see ${logPath}`);
+  return { owner, alreadyRunning: false, logPath };
+}
+
+// SIGTERM runs the daemon's graceful shutdown: active downloads are saved
+// back to the queue and resume on the next start
+export async function stopDaemon(lock) {
+  const owner = lock.getRunningInstance();
+  if (!owner) return null;
+
+  process.kill(owner.pid, 'SIGTERM');
+  const stopped = await waitFor(() => !lock.getRunningInstance(), 15000);
+  if (!stopped) throw new Error(`Daemon (pid ${owner.pid}) did not stop within 15s`);
+  return owner;
+}
@@ -0,0 +1,429 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { executeCommand, ITEM_COMMANDS } from './QueueCommands.js';
+import { serializeItem } from './DownloadQueue.js';
+import EventStream from './EventStream.js';
+import { API_HOST, API_PORT, FORMATS, SUPPORTED_FORMATS, PRIORITIES, SUBTITLE_MODES, getQualityPresets } from './Config.js';
+import { isValidItemRange } from './Playlist.js';
+import { isDriveUrl } from './GDriveDownloader.js';
+import { createClip } from './Clip.js';
+import { renderTemplate } from './FilenameTemplate.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const SSE_HEARTBEAT_MS = 15000;
+
+// The web UI: plain files, no build step and no CDN assets
+const WEB_DIR = fileURLToPath(new URL('../web/', import.meta.url));
+const STATIC_FILES = {
+    '/': ['index.html', 'text/html; charset=utf-8'],
+    '/app.js': ['app.js', 'text/javascript; charset=utf-8'],
+    '/style.css': ['style.css', 'text/css; charset=utf-8']
+};
+
+// Options accepted by POST /api/downloads and passed through to addUrl()
+const ADD_OPTIONS = [
+    'title', 'items', 'start', 'end', 'splitChapters', 'subtitles',
+    'priority', 'filenameTemplate', 'ignoreArchive'
+];
+
+const YOUTUBE_HOST = /(^|\.)(youtube\.com|youtu\.be)$/;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Local JSON API over the download queue. Every operation goes through
+// executeCommand(), like the CLI and the control socket.
+export default class ApiServer {
+    constructor(queue, { host = API_HOST, port = API_PORT, token = null } = {}) {
+        this.queue = queue;
+        this.host = host;
+        this.port = port;
+        this.token = token;
+        this.events = new EventStream(queue);
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        // [method, pattern, handler(params, body, url), success status]
+        this.routes = [
+            ['GET', /^\/api\/status$/, () => executeCommand(this.queue, 'status')],
+            ['GET', /^\/api\/formats$/, () => this.getFormats()],
+            ['GET', /^\/api\/items$/, () => this.getItems()],
+            ['GET', /^\/api\/items\/([\w.-]+)$/, ([id]) => this.getItem(id)],
+            ['GET', /^\/api\/files$/, (params, body, url) => this.listFiles(url.searchParams.get('path') || '')],
+            ['GET', /^\/api\/history$/, (params, body, url) =>
+                executeCommand(this.queue, 'history', { limit: Number(url.searchParams.get('limit')) || 20 })],
+            ['POST', /^\/api\/downloads$/, (params, body) => this.addDownloads(body), 201],
+            ['POST', /^\/api\/concurrency$/, (params, body) =>
+                executeCommand(this.queue, 'concurrency', { value: body.concurrency })],
+            ['GET', /^\/api\/proxies$/, () => executeCommand(this.queue, 'proxies')],
+            ['POST', /^\/api\/proxies\/check$/, () => executeCommand(this.queue, 'proxies', { check: true })],
+            ['POST', /^\/api\/sync$/, (params, body) => executeCommand(this.queue, 'sync', { id: body.id })],
+            ['POST', /^\/api\/items\/([\w.-]+)\/(\w+)$/, ([id, action], body) => this.runItemAction(id, action, body)],
+            ['DELETE', /^\/api\/items\/([\w.-]+)$/, ([id]) => executeCommand(this.queue, 'remove', { id })]
+        ];
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        // Open event streams would keep close() waiting forever
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    get url() {
+        const { port } = this.server.address() || { port: this.port };
+        return `http://${this.host.includes(':') ? `[${this.host}]` : this.host}:${port}`;
+    }
+
+    async handle(req, res) {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            this.checkOrigin(req);
+
+            // The page itself holds no data; it asks for the token when needed
+            if (req.method === 'GET' && STATIC_FILES[url.pathname]) {
+                this.serveStatic(res, url.pathname);
+                return;
+            }
+
+            this.authorize(req, url);
+
+            if (req.method === 'GET' && url.pathname.startsWith('/files/')) {
+                this.serveFile(res, decodeURIComponent(url.pathname.slice('/files/'.length)));
+                return;
+            }
+
+            if (req.method === 'GET' && url.pathname === '/api/events') {
+                this.streamEvents(req, res, url);
+                return;
+            }
+
+            const route = this.routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+            if (!route) throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+
+            const [, pattern, handler, status = 200] = route;
+            const params = url.pathname.match(pattern).slice(1).map(decodeURIComponent);
+            // A cross-site form or fetch can only send "simple" content types
+            // without a preflight, so requiring JSON keeps other pages out
+            if (['POST', 'DELETE'].includes(req.method) && !isJsonRequest(req)) {
+                throw new HttpError(415, 'Content-Type must be application/json');
+            }
+            const body = req.method === 'POST' ? await readJsonBody(req) : {};
+            const result = await handler(params, body, url);
+
+            sendJson(res, status, result ?? { ok: true });
+        } catch (error) {
+            const status = error.status || (error.code === 'ITEM_NOT_FOUND' ? 404 : 400);
+            sendJson(res, status, { error: error.message });
+        }
+    }
+
+    // Against DNS rebinding and cross-site requests: the Host header must name
+    // the address we listen on (any name when bound to all interfaces), and a
+    // browser's Origin, when sent, must be that same host.
+    checkOrigin(req) {
+        const allowed = (host) => {
+            if (WILDCARD_HOSTS.includes(this.host)) return true;
+            const hosts = LOOPBACK_HOSTS.includes(this.host) ? LOOPBACK_HOSTS : [this.host];
+            return hosts.includes(host);
+        };
+        const hostOf = (value) => {
+            try {
+                const { hostname, port } = new URL(value.includes('://') ? value : `http://${value}`);
+                return { hostname: hostname.replace(/^\[|\]$/g, ''), port: Number(port) || 80 };
+            } catch {
+                return null;
+            }
+        };
+        const { port } = this.server.address() || { port: this.port };
+
+        const host = hostOf(req.headers.host || '');
+        if (!host || !allowed(host.hostname) || host.port !== port) {
+            throw new HttpError(403, `Unexpected Host header "${req.headers.host || ''}"`);
+        }
+
+        const origin = req.headers.origin;
+        if (origin === undefined) return;
+        const from = origin === 'null' ? null : hostOf(origin);
+        if (!from || from.hostname !== host.hostname || from.port !== host.port) {
+            throw new HttpError(403, `Cross-origin request from ${origin} refused`);
+        }
+    }
+
+    // Optional bearer token; compared in constant time. Also accepted as
+    // ?token= because browsers' EventSource can't send headers.
+    authorize(req, url) {
+        if (!this.token) return;
+
+        const header = req.headers.authorization || '';
+        const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '');
+        const expected = Buffer.from(this.token);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new HttpError(401, 'Missing or invalid bearer token');
+        }
+    }
+
+    // GET /api/events[?item=<id>]: Server-Sent Events, starting with a snapshot
+    streamEvents(req, res, url) {
+        let itemId = url.searchParams.get('item');
+        if (itemId) {
+            const found = this.queue.findItem(itemId);
+            if (!found) throw new HttpError(404, `No queue item with id "${itemId}"`);
+            itemId = found.item.id;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+
+        let sequence = 0;
+        const unsubscribe = this.events.subscribe((message) => {
+            res.write(`id: ${++sequence}\nevent: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+        }, { itemId });
+
+        // Comment lines keep proxies and idle timeouts from closing the stream
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    }
+
+    serveStatic(res, pathname) {
+        const [file, type] = STATIC_FILES[pathname];
+        res.writeHead(200, { 'Content-Type': type });
+        fs.createReadStream(path.join(WEB_DIR, file)).pipe(res);
+    }
+
+    // Resolves a path relative to the output directory, refusing anything
+    // that escapes it (../, absolute paths, symlinks pointing outside) and
+    // the hidden state files (tokens, queue state) kept in it
+    resolveDownloadPath(relativePath) {
+        const root = fs.realpathSync(this.queue.outputDir);
+        const target = path.resolve(root, relativePath);
+        if (!fs.existsSync(target)) throw new HttpError(404, `Not found: ${relativePath}`);
+
+        const real = fs.realpathSync(target);
+        if (real !== root && !real.startsWith(root + path.sep)) {
+            throw new HttpError(403, 'Path is outside the download folder');
+        }
+        if (path.relative(root, real).split(path.sep).some(part => part.startsWith('.'))) {
+            throw new HttpError(404, `Not found: ${relativePath}`);
+        }
+        return { root, real };
+    }
+
+    // Downloaded files and folders; state files (dotfiles) are hidden
+    listFiles(relativePath) {
+        const { root, real } = this.resolveDownloadPath(relativePath);
+        if (!fs.statSync(real).isDirectory()) throw new HttpError(400, `Not a folder: ${relativePath}`);
+
+        const entries = fs.readdirSync(real, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.') && !entry.name.endsWith('.part'))
+            .map(entry => {
+                const fullPath = path.join(real, entry.name);
+                const stats = fs.statSync(fullPath);
+                return {
+                    name: entry.name,
+                    path: path.relative(root, fullPath).split(path.sep).join('/'),
+                    type: stats.isDirectory() ? 'folder' : 'file',
+                    size: stats.isDirectory() ? null : stats.size,
+                    modifiedAt: stats.mtime.toISOString()
+                };
+            })
+            .sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'folder' ? -1 : 1));
+
+        return { path: path.relative(root, real).split(path.sep).join('/'), entries };
+    }
+
+    serveFile(res, relativePath) {
+        const { real } = this.resolveDownloadPath(relativePath);
+        const stats = fs.statSync(real);
+        if (!stats.isFile()) throw new HttpError(404, `Not found: ${relativePath}`);
+
+        res.writeHead(200, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': stats.size,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(path.basename(real))}`
+        });
+        fs.createReadStream(real).pipe(res);
+    }
+
+    getFormats() {
+        return SUPPORTED_FORMATS.map(format => ({
+            id: format,
+            label: FORMATS[format].label,
+            type: FORMATS[format].type,
+            qualities: Object.keys(getQualityPresets(format))
+        }));
+    }
+
+    // Items grouped by status: processing, queued, paused, failed, cancelled, completed
+    getItems() {
+        const groups = { processing: [], queued: [], paused: [], failed: [], cancelled: [], completed: [] };
+        for (const item of this.queue.listItems()) {
+            (groups[item.status] ??= []).push(item);
+        }
+        return groups;
+    }
+
+    getItem(id) {
+        const found = this.queue.findItem(id);
+        if (!found) throw new HttpError(404, `No queue item with id "${id}"`);
+        return { ...serializeItem(found.item), progress: this.queue.progressData.get(found.item.id) || null };
+    }
+
+    // pause, resume, cancel, retry, remove, top, bottom, next,
+    // move ({ position }) and priority ({ priority })
+    runItemAction(id, action, body) {
+        if (!ITEM_COMMANDS.includes(action)) throw new HttpError(404, `Unknown item action "${action}"`);
+        return executeCommand(this.queue, action, { id, value: body.position ?? body.priority });
+    }
+
+    async addDownloads(body) {
+        const urls = body.urls || (body.url ? [body.url] : []);
+        if (!Array.isArray(urls) || urls.length === 0 || !urls.every(url => typeof url === 'string')) {
+            throw new HttpError(400, 'Expected "url" or a non-empty "urls" array');
+        }
+        const unsupported = urls.find(url => !isSupportedUrl(url));
+        if (unsupported !== undefined) {
+            throw new HttpError(400, `Not a YouTube or Google Drive URL: ${unsupported}`);
+        }
+
+        const format = (body.format || this.queue.defaultFormat).toLowerCase();
+        const quality = body.quality || this.queue.defaultQuality;
+        if (!SUPPORTED_FORMATS.includes(format)) {
+            throw new HttpError(400, `Unsupported format "${format}". Supported: ${SUPPORTED_FORMATS.join(', ')}`);
+        }
+        if (!getQualityPresets(format)[quality]) {
+            throw new HttpError(400, `Unknown ${format} quality "${quality}". Available: ${Object.keys(getQualityPresets(format)).join(', ')}`);
+        }
+        if (body.priority && !PRIORITIES.includes(body.priority)) {
+            throw new HttpError(400, `Unknown priority "${body.priority}". Use ${PRIORITIES.join(', ')}`);
+        }
+
+        checkAddOptions(body);
+
+        const options = { format, quality };
+        for (const key of ADD_OPTIONS) {
+            if (body[key] !== undefined) options[key] = body[key];
+        }
+
+        return executeCommand(this.queue, 'add', { urls, options });
+    }
+}
+
+function isSupportedUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+    return YOUTUBE_HOST.test(parsed.hostname) || isDriveUrl(url);
+}
+
+// Shape of the ADD_OPTIONS in a request body. Anything wrong here would
+// otherwise only fail once the download starts.
+function checkAddOptions(body) {
+    const isSet = (key) => body[key] !== undefined && body[key] !== null;
+    const fail = (message) => {
+        throw new HttpError(400, message);
+    };
+
+    if (isSet('title') && typeof body.title !== 'string') fail('"title" must be a string');
+    if (isSet('items') && (typeof body.items !== 'string' || !isValidItemRange(body.items))) {
+        fail('"items" must be a range such as "1-10" or "1,3,5"');
+    }
+    for (const key of ['splitChapters', 'ignoreArchive']) {
+        if (isSet(key) && typeof body[key] !== 'boolean') fail(`"${key}" must be true or false`);
+    }
+    for (const key of ['start', 'end']) {
+        if (isSet(key) && !['string', 'number'].includes(typeof body[key])) fail(`"${key}" must be a time such as "1:30"`);
+    }
+    try {
+        createClip(body.start, body.end);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    if (isSet('filenameTemplate')) {
+        if (typeof body.filenameTemplate !== 'string' || !body.filenameTemplate.trim()) {
+            fail('"filenameTemplate" must be a non-empty string');
+        }
+        try {
+            renderTemplate(body.filenameTemplate, { title: 'title', ext: 'mp3' });
+        } catch (error) {
+            fail(`Invalid filenameTemplate: ${error.message}`);
+        }
+    }
+
+    if (isSet('subtitles')) {
+        const { subtitles } = body;
+        if (typeof subtitles !== 'object' || Array.isArray(subtitles)) fail('"subtitles" must be an object');
+        if (subtitles.mode != null && !SUBTITLE_MODES.includes(subtitles.mode)) {
+            fail(`Unknown subtitle mode "${subtitles.mode}". Use ${SUBTITLE_MODES.join(', ')}`);
+        }
+        if (subtitles.languages !== undefined && (!Array.isArray(subtitles.languages) ||
+            subtitles.languages.length === 0 || !subtitles.languages.every(lang => typeof lang === 'string' && lang))) {
+            fail('"subtitles.languages" must be a non-empty array of language codes');
+        }
+        for (const key of ['manual', 'auto', 'transcript']) {
+            if (subtitles[key] !== undefined && typeof subtitles[key] !== 'boolean') {
+                fail(`"subtitles.${key}" must be true or false`);
+            }
+        }
+    }
+}
+
+function isJsonRequest(req) {
+    return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase() === 'application/json';
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!body.trim()) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
@@ -0,0 +1,134 @@
+// Global download speed cap, time-of-day limits and download windows.
+//
+// Configured through `bandwidth` in the settings file:
+//
+//   {
+//     "limit": "2M",                                         // default cap, bytes/s
+//     "schedule": [{ "from": "00:00", "to": "07:00", "limit": "unlimited" }],
+//     "windows": [{ "from": "22:00", "to": "07:00" }]        // only download then
+//   }
+//
+// The first schedule entry covering the current time overrides `limit`.
+// Without windows the queue may download at any time. Ranges may wrap past
+// midnight and use local time.
+
+const UNITS = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+// '2M', '500K', '1.5MB', 2097152 -> bytes/s; 'unlimited', 0 or null -> null
+export function parseRate(value) {
+    if (value === null || value === undefined || value === 0 || value === 'unlimited') return null;
+    if (typeof value === 'number' && value > 0) return Math.floor(value);
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([KMG]?)(?:i?B)?(?:\/s)?$/i);
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid bandwidth limit "${value}". Use e.g. 500K, 2M or "unlimited"`);
+    }
+    return Math.floor(Number(match[1]) * UNITS[match[2].toUpperCase()]);
+}
+
+export function formatRate(bytesPerSecond) {
+    if (!bytesPerSecond) return 'unlimited';
+    if (bytesPerSecond >= UNITS.M) return `${(bytesPerSecond / UNITS.M).toFixed(1)} MB/s`;
+    return `${Math.round(bytesPerSecond / UNITS.K)} KB/s`;
+}
+
+// 00:00-23:59, plus 24:00 for the end of the day
+function parseTime(value) {
+    const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+    const [hours, minutes] = match ? [Number(match[1]), Number(match[2])] : [];
+    if (!match || minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) {
+        throw new Error(`Invalid time "${value}". Use HH:MM between 00:00 and 24:00`);
+    }
+    return (hours * 60 + minutes) % (24 * 60);
+}
+
+function parseRange({ from, to }) {
+    return { from: parseTime(from), to: parseTime(to), label: `${from}-${to}` };
+}
+
+function minutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes();
+}
+
+// [from, to) in minutes of the day; from === to covers the whole day
+function inRange(minute, { from, to }) {
+    if (from === to) return true;
+    return from < to ? minute >= from && minute < to : minute >= from || minute < to;
+}
+
+export default class Bandwidth {
+    constructor(config = {}) {
+        this.limit = parseRate(config.limit);
+        this.schedule = (config.schedule || []).map(entry => ({ ...parseRange(entry), limit: parseRate(entry.limit) }));
+        this.windows = (config.windows || []).map(parseRange);
+    }
+
+    // Whether anything here depends on the time of day
+    get isScheduled() {
+        return this.schedule.length > 0 || this.windows.length > 0;
+    }
+
+    // Global cap in bytes/s right now, or null for unlimited
+    currentLimit(now = new Date()) {
+        const minute = minutesOfDay(now);
+        const entry = this.schedule.find(range => inRange(minute, range));
+        return entry ? entry.limit : this.limit;
+    }
+
+    inWindow(now = new Date()) {
+        const minute = minutesOfDay(now);
+        return this.windows.length === 0 || this.windows.some(range => inRange(minute, range));
+    }
+
+    // "HH:MM" when the next download window starts
+    nextWindowStart(now = new Date()) {
+        if (this.windows.length === 0) return null;
+
+        const minute = minutesOfDay(now);
+        const next = this.windows
+            .map(range => ({ range, wait: (range.from - minute + 24 * 60) % (24 * 60) }))
+            .sort((a, b) => a.wait - b.wait)[0].range;
+        return next.label.split('-')[0];
+    }
+
+    // Each download's part of the cap, split evenly across download slots so
+    // the total stays under it however many are running
+    share(slots, now = new Date()) {
+        const limit = this.currentLimit(now);
+        return limit ? Math.max(1, Math.floor(limit / Math.max(1, slots))) : null;
+    }
+
+    describe(slots, now = new Date()) {
+        const inWindow = this.inWindow(now);
+        return {
+            limit: this.currentLimit(now),
+            perDownload: this.share(slots, now),
+            inWindow,
+            opensAt: inWindow ? null : this.nextWindowStart(now),
+            scheduled: this.isScheduled
+        };
+    }
+}
+
+// Paces a stream to rate() bytes/s. Call with each chunk's size; returns how
+// many ms to pause the stream before reading on. The window restarts whenever
+// the rate changes, so a new limit applies straight away.
+export function createThrottle(rate) {
+    let windowStart = Date.now();
+    let windowBytes = 0;
+    let windowRate = null;
+
+    return (bytes) => {
+        const current = rate();
+        const now = Date.now();
+        if (current !== windowRate) {
+            windowRate = current;
+            windowStart = now;
+            windowBytes = 0;
+        }
+        if (!current) return 0;
+
+        windowBytes += bytes;
+        return Math.max(0, windowStart + (windowBytes / current) * 1000 - now);
+    };
+}
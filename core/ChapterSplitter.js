@@ -0,0 +1,87 @@
+import { spawn } from 'child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { renderTemplate } from './FilenameTemplate.js';
+
+export const CHAPTER_FILENAME_TEMPLATE = '{index:02} - {title}.{ext}';
+
+// yt-dlp chapters: [{ start_time, end_time, title }]
+export function normalizeChapters(chapters = [], duration = null) {
+    return (chapters || [])
+        .filter(chapter => typeof chapter.start_time === 'number')
+        .map((chapter, index, all) => ({
+            index: index + 1,
+            title: chapter.title || `Chapter ${index + 1}`,
+            start: chapter.start_time,
+            end: chapter.end_time ?? all[index + 1]?.start_time ?? duration
+        }));
+}
+
+function cutChapter(sourcePath, targetPath, chapter, tags) {
+    return new Promise((resolve, reject) => {
+        const args = ['-y', '-loglevel', 'error', '-i', sourcePath, '-ss', String(chapter.start)];
+        if (chapter.end) args.push('-to', String(chapter.end));
+
+        // Copy streams (incl. embedded cover art) and the file's tags, then
+        // override the per-track ones
+        args.push('-map', '0', '-c', 'copy', '-map_metadata', '0');
+        for (const [key, value] of Object.entries(tags)) {
+            args.push('-metadata', `${key}=${value}`);
+        }
+        if (path.extname(targetPath) === '.mp3') args.push('-id3v2_version', '4');
+        args.push(targetPath);
+
+        const proc = spawn('ffmpeg', args);
+        let errorOutput = '';
+        proc.stderr.on('data', data => errorOutput += data.toString());
+        proc.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(errorOutput.trim() || `ffmpeg exited with code ${code}`));
+        });
+        proc.on('error', (error) => reject(new Error(`Failed to start ffmpeg: ${error.message}`)));
+    });
+}
+
+export function writeM3u(playlistPath, tracks) {
+    const baseDir = path.dirname(playlistPath);
+    const lines = ['#EXTM3U'];
+
+    for (const track of tracks) {
+        const duration = track.end ? Math.round(track.end - track.start) : -1;
+        lines.push(`#EXTINF:${duration},${track.title}`);
+        lines.push(path.relative(baseDir, track.path).split(path.sep).join('/'));
+    }
+
+    fs.writeFileSync(playlistPath, lines.join('\n') + '\n');
+}
+
+// Splits a downloaded file into one file per chapter inside `<basePath>/`,
+// with an M3U playlist next to that folder. Returns the written tracks.
+export async function splitByChapters(sourcePath, chapters, options = {}) {
+    const { album = null, onProgress = null } = options;
+    const ext = path.extname(sourcePath).slice(1);
+    const basePath = sourcePath.slice(0, -(ext.length + 1));
+
+    fs.mkdirSync(basePath, { recursive: true });
+
+    const tracks = [];
+    for (const chapter of chapters) {
+        const trackPath = path.join(basePath, ...renderTemplate(CHAPTER_FILENAME_TEMPLATE, {
+            index: chapter.index,
+            title: chapter.title,
+            ext
+        }));
+
+        await cutChapter(sourcePath, trackPath, chapter, {
+            title: chapter.title,
+            track: `${chapter.index}/${chapters.length}`,
+            ...(album ? { album } : {})
+        });
+
+        tracks.push({ ...chapter, path: trackPath });
+        if (onProgress) onProgress(tracks.length, chapters.length, chapter);
+    }
+
+    writeM3u(`${basePath}.m3u`, tracks);
+    return tracks;
+}
@@ -0,0 +1,79 @@
+// Time-range clips: parsing user/URL timestamps and turning them into
+// yt-dlp --download-sections arguments and file name labels.
+
+// Accepts "1:02:10", "62:10", "3730", "1h2m10s", "90s" and "1m"
+export function parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+
+    if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(text)) {
+        return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+
+    const units = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/i);
+    if (units && (units[1] || units[2] || units[3])) {
+        return Number(units[1] || 0) * 3600 + Number(units[2] || 0) * 60 + Number(units[3] || 0);
+    }
+
+    return null;
+}
+
+export function formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+}
+
+// Builds a validated { start, end } clip in seconds; end may be null (to the end)
+export function createClip(start, end = null) {
+    const startSeconds = parseTimestamp(start) ?? 0;
+    const endSeconds = parseTimestamp(end);
+
+    if (start && parseTimestamp(start) === null) throw new Error(`Invalid start time: ${start}`);
+    if (end && endSeconds === null) throw new Error(`Invalid end time: ${end}`);
+    if (endSeconds !== null && endSeconds <= startSeconds) {
+        throw new Error(`Clip end (${end}) must be after start (${start || '0:00'})`);
+    }
+    if (startSeconds === 0 && endSeconds === null) return null;
+
+    return { start: startSeconds, end: endSeconds };
+}
+
+// Honors the t=/start=/end= parameters of pasted links, e.g. youtu.be/ID?t=90
+export function clipFromUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const hashParams = new URLSearchParams(parsed.hash.slice(1));
+        const start = parsed.searchParams.get('t') || parsed.searchParams.get('start') || hashParams.get('t');
+        const end = parsed.searchParams.get('end');
+        if (!start && !end) return null;
+        return createClip(start, end);
+    } catch {
+        return null;
+    }
+}
+
+// "1h02m10s-1h05m40s", safe for file names
+export function clipLabel(clip) {
+    if (!clip) return null;
+    const part = (seconds) => formatTimestamp(seconds)
+        .split(':')
+        .map((value, index, all) => `${value}${['h', 'm', 's'].slice(-all.length)[index]}`)
+        .join('');
+
+    return `${part(clip.start)}-${clip.end !== null ? part(clip.end) : 'end'}`;
+}
+
+export function downloadSectionArgs(clip) {
+    if (!clip) return [];
+    return [
+        '--download-sections', `*${clip.start}-${clip.end !== null ? clip.end : 'inf'}`,
+        '--force-keyframes-at-cuts'
+    ];
+}
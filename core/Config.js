@@ -7,21 +7,6 @@ const YTDLP_BASE = [
   '--cookies', path.resolve('./core/cookies.txt')
 ];
 
-// MP3 (Audio Only) Configuration
-export const YTDLP_ARGS_MP3 = [
-  ...YTDLP_BASE,
-  '--extract-audio',
-  '--audio-format', 'mp3',
-  '--audio-quality', '0', // Best quality
-];
-
-// MP4 (Video) Configuration
-export const YTDLP_ARGS_MP4 = [
-  ...YTDLP_BASE,
-  '--format', 'best[ext=mp4]/bestvideo[ext=mp4]+bestaudio[ext=m4a]/best',
-  '--merge-output-format', 'mp4'
-];
-
 // Quality presets for MP4
 export const MP4_QUALITY_PRESETS = {
   'best': 'best[ext=mp4]/best',
@@ -39,50 +24,206 @@ export const MP3_QUALITY_PRESETS = {
   'low': '9'        // ~64 kbps
 };
 
-export const SUPPORTED_FORMATS = ['mp3', 'mp4'];
+// Bitrate presets for lossy audio codecs other than MP3 (AAC, Opus, Vorbis)
+export const AAC_QUALITY_PRESETS = {
+  'best': '256K',
+  'good': '192K',
+  'medium': '128K',
+  'low': '64K'
+};
+
+export const OPUS_QUALITY_PRESETS = {
+  'best': '160K',   // Transparent for most music
+  'good': '128K',
+  'medium': '96K',
+  'low': '48K'
+};
+
+export const OGG_QUALITY_PRESETS = {
+  'best': '0',      // VBR, highest
+  'good': '3',
+  'medium': '5',
+  'low': '8'
+};
+
+// Lossless formats have nothing to trade off
+export const LOSSLESS_QUALITY_PRESETS = {
+  'best': '0'
+};
+
+// Every fallback stays within WebM streams, so the file never needs remuxing
+// from codecs the container can't hold
+export const WEBM_QUALITY_PRESETS = {
+  'best': 'bestvideo[ext=webm]+bestaudio[ext=webm]/best[ext=webm]',
+  '1080p': 'bestvideo[height<=1080][ext=webm]+bestaudio[ext=webm]/best[height<=1080][ext=webm]',
+  '720p': 'bestvideo[height<=720][ext=webm]+bestaudio[ext=webm]/best[height<=720][ext=webm]',
+  '480p': 'bestvideo[height<=480][ext=webm]+bestaudio[ext=webm]/best[height<=480][ext=webm]',
+  '360p': 'bestvideo[height<=360][ext=webm]+bestaudio[ext=webm]/best[height<=360][ext=webm]'
+};
+
+// MKV takes any codec, so it can always get the best streams
+export const MKV_QUALITY_PRESETS = {
+  'best': 'bestvideo+bestaudio/best',
+  '1080p': 'bestvideo[height<=1080]+bestaudio/best[height<=1080]',
+  '720p': 'bestvideo[height<=720]+bestaudio/best[height<=720]',
+  '480p': 'bestvideo[height<=480]+bestaudio/best[height<=480]',
+  '360p': 'bestvideo[height<=360]+bestaudio/best[height<=360]'
+};
+
+// Format registry. Audio formats are extracted with --audio-format, video
+// formats are merged into their container. The CLI menus, queue directories
+// and status breakdown are all driven from here.
+export const FORMATS = {
+  mp3:  { type: 'audio', label: 'MP3',       ext: '.mp3',  audioFormat: 'mp3',    qualities: MP3_QUALITY_PRESETS, id3: true },
+  m4a:  { type: 'audio', label: 'M4A (AAC)', ext: '.m4a',  audioFormat: 'm4a',    qualities: AAC_QUALITY_PRESETS },
+  opus: { type: 'audio', label: 'Opus',      ext: '.opus', audioFormat: 'opus',   qualities: OPUS_QUALITY_PRESETS },
+  flac: { type: 'audio', label: 'FLAC',      ext: '.flac', audioFormat: 'flac',   qualities: LOSSLESS_QUALITY_PRESETS },
+  wav:  { type: 'audio', label: 'WAV',       ext: '.wav',  audioFormat: 'wav',    qualities: LOSSLESS_QUALITY_PRESETS },
+  ogg:  { type: 'audio', label: 'OGG Vorbis', ext: '.ogg', audioFormat: 'vorbis', qualities: OGG_QUALITY_PRESETS },
+  mp4:  { type: 'video', label: 'MP4',       ext: '.mp4',  container: 'mp4',     qualities: MP4_QUALITY_PRESETS },
+  webm: { type: 'video', label: 'WebM',      ext: '.webm', container: 'webm',    qualities: WEBM_QUALITY_PRESETS },
+  mkv:  { type: 'video', label: 'MKV',       ext: '.mkv',  container: 'mkv',     qualities: MKV_QUALITY_PRESETS }
+};
+
+export const SUPPORTED_FORMATS = Object.keys(FORMATS);
 export const DEFAULT_FORMAT = 'mp3';
 export const DEFAULT_QUALITY = 'best';
 
+// ID3v2.4 tags written to MP3 output after extraction
+export const ID3_TAGGING = {
+  enabled: true,
+  // Which frames get written
+  fields: {
+    title: true,
+    artist: true,   // uploader
+    album: true,    // playlist title
+    track: true,    // playlist index
+    year: true,     // upload year
+    comment: true,  // source URL
+    cover: true     // thumbnail as front cover
+  },
+  // Split "Artist - Title" video titles into separate artist/title frames
+  parseArtistTitle: false
+};
+
+// Output file names, relative to the format directory (downloads/mp3/...).
+// Fields: {title} {id} {uploader} {channel} {playlist} {index} {upload_date}
+// {year} {format} {quality} {clip} {ext}; "{index:02}" zero-pads to two digits.
+export const DEFAULT_FILENAME_TEMPLATE = '{title}.{ext}';
+
+// Subtitles: embedded into video containers or saved next to the media file
+export const SUBTITLE_MODES = ['embed', 'srt', 'vtt'];
+export const DEFAULT_SUBTITLE_LANGUAGES = ['en'];
+
 export const DEFAULT_OUTPUT_DIR = './downloads';
 export const MAX_CONCURRENT_DOWNLOADS = 2;
+export const MAX_CONCURRENCY = 10;
 export const MAX_ATTEMPTS = 3;
 
+// Adaptive concurrency (`--concurrency auto`): halve the number of parallel
+// downloads on a rate limit, add one after `raiseAfter` clean downloads in a
+// row, but not within `cooldown` ms of the last rate limit.
+export const ADAPTIVE_CONCURRENCY = { min: 1, max: 6, raiseAfter: 3, cooldown: 60 * 1000 };
+
+// How failed downloads are retried, by error category (core/DownloadErrors.js).
+// The wait before attempt n is baseDelay * 2^(n-1), capped at maxDelay and
+// spread by +/- RETRY_JITTER so parallel failures don't retry in lockstep.
+// switchProxy marks the proxy used as failed so the retry goes out through
+// another one; proxyOnly errors are only worth retrying through a new proxy.
+export const RETRY_POLICIES = {
+  'rate-limited': { retry: true, baseDelay: 30000, maxDelay: 15 * 60 * 1000, switchProxy: true },
+  'forbidden': { retry: true, baseDelay: 5000, maxDelay: 2 * 60 * 1000, switchProxy: true },
+  'geo-blocked': { retry: true, baseDelay: 1000, maxDelay: 10000, switchProxy: true, proxyOnly: true },
+  'network': { retry: true, baseDelay: 2000, maxDelay: 60 * 1000 },
+  'unknown': { retry: true, baseDelay: 1000, maxDelay: 30 * 1000 },
+  'unavailable': { retry: false },
+  'age-restricted': { retry: false },
+  'format-unavailable': { retry: false }
+};
+export const RETRY_JITTER = 0.25;
+
+// Proxy list: one proxy URL per line, '#' starts a comment. Overridden by
+// `proxyFile` in the settings file or TUNEIT_PROXY_FILE.
+export const DEFAULT_PROXY_FILE = './proxies.txt';
+export const PROXY_PROTOCOLS = ['http', 'https', 'socks4', 'socks4a', 'socks5', 'socks5h'];
+
+// A failing proxy sits out base * 2^(n-1) ms after its nth failure in a row,
+// up to max. Proxies cooling down are health-checked every `interval` ms by
+// fetching `url` through them, and go back into rotation once that works.
+// `proxyHealth` in the settings file overrides url, interval and timeout.
+export const PROXY_COOLDOWN = { base: 60 * 1000, max: 60 * 60 * 1000 };
+export const PROXY_HEALTH = { url: 'https://www.youtube.com/generate_204', interval: 5 * 60 * 1000, timeout: 10 * 1000 };
+
+// How each download picks a proxy: round-robin, lru, weighted (by success
+// rate), throughput, random, sticky (same proxy across an item's retries) or
+// failover (one proxy until it fails). `proxyStrategy` in the settings file.
+export const DEFAULT_PROXY_STRATEGY = 'round-robin';
+
+// Local HTTP API (`tuneit serve`). Loopback only unless a host is given.
+export const API_HOST = '127.0.0.1';
+export const API_PORT = 7878;
+
+// Queue lanes, highest first. Within a lane items keep their queue order.
+export const PRIORITIES = ['high', 'normal', 'low'];
+export const DEFAULT_PRIORITY = 'normal';
+
+// Registry entry for a format, falling back to the default like yt-dlp args do
+export function getFormat(format = DEFAULT_FORMAT) {
+  return FORMATS[String(format).toLowerCase()] || FORMATS[DEFAULT_FORMAT];
+}
+
+export function getQualityPresets(format = DEFAULT_FORMAT) {
+  return getFormat(format).qualities;
+}
+
+// Subtitle arguments. `subtitles` is { languages, manual, auto, mode, transcript }:
+// mode 'embed' muxes them into video containers, 'srt'/'vtt' keep sidecar files,
+// and a transcript (any format) is made from the downloaded captions afterwards.
+export function getSubtitleArgs(subtitles, format = DEFAULT_FORMAT) {
+  if (!subtitles || (!subtitles.mode && !subtitles.transcript)) return [];
+
+  const { languages = DEFAULT_SUBTITLE_LANGUAGES, manual = true, auto = false } = subtitles;
+  const mode = getFormat(format).type === 'video' ? subtitles.mode : null;
+  const args = [];
+
+  // With --embed-subs, --write-subs keeps the files on disk too; they are
+  // cleaned up after the download unless a transcript needs them
+  if (manual) args.push('--write-subs');
+  if (auto) args.push('--write-auto-subs');
+  args.push('--sub-langs', languages.join(','));
+
+  if (mode === 'embed') args.push('--embed-subs');
+  if (mode === 'srt') args.push('--convert-subs', 'srt');
+  else args.push('--sub-format', 'vtt/best');
+
+  return args;
+}
+
 // Helper function to get yt-dlp args based on format and quality
-export function getYtDlpArgs(format = DEFAULT_FORMAT, quality = DEFAULT_QUALITY) {
-  let args;
-  
-  switch (format.toLowerCase()) {
-    case 'mp4':
-      args = [...YTDLP_ARGS_MP4];
-      if (MP4_QUALITY_PRESETS[quality]) {
-        // Replace the format argument with quality-specific one
-        const formatIndex = args.findIndex(arg => arg === '--format');
-        if (formatIndex !== -1) {
-          args[formatIndex + 1] = MP4_QUALITY_PRESETS[quality];
-        }
-      }
-      break;
-      
-    case 'mp3':
-    default:
-      args = [...YTDLP_ARGS_MP3];
-      if (MP3_QUALITY_PRESETS[quality]) {
-        const qualityIndex = args.findIndex(arg => arg === '--audio-quality');
-        if (qualityIndex !== -1) {
-          args[qualityIndex + 1] = MP3_QUALITY_PRESETS[quality];
-        }
-      }
-      break;
+export function getYtDlpArgs(format = DEFAULT_FORMAT, quality = DEFAULT_QUALITY, options = {}) {
+  const spec = getFormat(format);
+  const preset = spec.qualities[quality] ?? spec.qualities[DEFAULT_QUALITY];
+  const subtitleArgs = getSubtitleArgs(options.subtitles, format);
+
+  if (spec.type === 'video') {
+    return [
+      ...YTDLP_BASE,
+      '--format', preset,
+      '--merge-output-format', spec.container,
+      ...subtitleArgs
+    ];
   }
-  
-  return args;
+
+  return [
+    ...YTDLP_BASE,
+    '--extract-audio',
+    '--audio-format', spec.audioFormat,
+    '--audio-quality', preset,
+    ...subtitleArgs
+  ];
 }
 
 // Helper to get file extension based on format
 export function getFileExtension(format = DEFAULT_FORMAT) {
-  switch (format.toLowerCase()) {
-    case 'mp4': return '.mp4';
-    case 'mp3': 
-    default: return '.mp3';
-  }
-}
\ No newline at end of file
+  return getFormat(format).ext;
+}
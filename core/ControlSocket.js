@@ -0,0 +1,91 @@
+import net from 'node:net';
+import fs from 'node:fs';
+import { executeCommand } from './QueueCommands.js';
+
+// Newline-delimited JSON over the instance's Unix socket (named pipe on
+// Windows). Request: { id, command, args }. Response: { id, ok, result } or
+// { id, ok: false, error }.
+
+function onLines(socket, handleLine) {
+    let buffer = '';
+    socket.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.filter(line => line.trim()).forEach(handleLine);
+    });
+}
+
+export function startControlServer(queue, socketPath) {
+    // A socket file left by a crashed run would make listen() fail; the
+    // caller holds the instance lock, so nobody else is using it
+    if (process.platform !== 'win32') fs.rmSync(socketPath, { force: true });
+
+    const server = net.createServer((socket) => {
+        onLines(socket, async (line) => {
+            let request;
+            try {
+                request = JSON.parse(line);
+            } catch {
+                socket.write(JSON.stringify({ ok: false, error: 'Invalid JSON request' }) + '\n');
+                return;
+            }
+
+            try {
+                const result = await executeCommand(queue, request.command, request.args);
+                socket.write(JSON.stringify({ id: request.id, ok: true, result }) + '\n');
+            } catch (error) {
+                socket.write(JSON.stringify({ id: request.id, ok: false, error: error.message }) + '\n');
+            }
+        });
+        socket.on('error', () => {}); // client went away mid-reply
+    });
+
+    server.on('error', (error) => {
+        console.error('⚠️ Control socket unavailable:', error.message);
+    });
+    server.listen(socketPath);
+    if (process.platform !== 'win32') {
+        process.once('exit', () => fs.rmSync(socketPath, { force: true }));
+    }
+
+    // Don't keep short-lived commands alive just for the socket
+    server.unref();
+    return server;
+}
+
+export function sendCommand(socketPath, command, args = {}, { timeout = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(socketPath);
+        const id = Date.now();
+
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error('Running TuneIt instance did not answer'));
+        }, timeout);
+
+        socket.on('connect', () => {
+            socket.write(JSON.stringify({ id, command, args }) + '\n');
+        });
+
+        onLines(socket, (line) => {
+            clearTimeout(timer);
+            socket.end();
+
+            let response;
+            try {
+                response = JSON.parse(line);
+            } catch {
+                reject(new Error('Running TuneIt instance sent an invalid answer'));
+                return;
+            }
+            if (response.ok) resolve(response.result);
+            else reject(new Error(response.error));
+        });
+
+        socket.on('error', (error) => {
+            clearTimeout(timer);
+            reject(new Error(`Could not reach running TuneIt instance: ${error.message}`));
+        });
+    });
+}
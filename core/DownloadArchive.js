@@ -0,0 +1,206 @@
+import { spawn } from 'child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { FORMATS } from './Config.js';
+import { clipLabel } from './Clip.js';
+import StateStore from './StateStore.js';
+
+const MEDIA_EXTENSIONS = Object.values(FORMATS).map(spec => spec.ext);
+const YOUTUBE_ID_PATTERNS = [
+    /[?&]v=([\w-]{11})/,
+    /youtu\.be\/([\w-]{11})/,
+    /\/(?:shorts|embed|live)\/([\w-]{11})/
+];
+
+export function extractVideoId(url) {
+    for (const pattern of YOUTUBE_ID_PATTERNS) {
+        const match = String(url).match(pattern);
+        if (match) return { extractor: 'youtube', id: match[1] };
+    }
+    return null;
+}
+
+// A YouTube id in a file name: "Title [dQw4w9WgXcQ].mp3", or a trailing
+// "Title - dQw4w9WgXcQ.mp3". Trailing ones must contain a digit so words
+// that happen to be 11 letters long aren't taken for ids.
+function videoIdFromName(filePath) {
+    const name = path.basename(filePath, path.extname(filePath));
+    const bracketed = name.match(/[[(]([\w-]{11})[\])]/);
+    if (bracketed) return { extractor: 'youtube', id: bracketed[1] };
+
+    const trailing = name.match(/(?:^|[\s_.-])([\w-]{11})$/);
+    if (trailing && /\d/.test(trailing[1])) return { extractor: 'youtube', id: trailing[1] };
+    return null;
+}
+
+function itemRef(item) {
+    return item.videoId
+        ? { extractor: item.extractor || 'youtube', id: item.videoId }
+        : extractVideoId(item.url);
+}
+
+// Reads the source URL the tagger stores in the comment frame
+function probeSourceUrl(filePath) {
+    return new Promise((resolve) => {
+        const proc = spawn('ffprobe', [
+            '-v', 'quiet', '-print_format', 'json',
+            '-show_entries', 'format_tags=comment,purl', filePath
+        ]);
+        let output = '';
+        proc.stdout.on('data', data => output += data.toString());
+        proc.on('close', () => {
+            try {
+                const tags = JSON.parse(output).format?.tags || {};
+                resolve(tags.comment || tags.COMMENT || tags.purl || null);
+            } catch {
+                resolve(null);
+            }
+        });
+        proc.on('error', () => resolve(null));
+    });
+}
+
+function findMediaFiles(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...findMediaFiles(fullPath));
+        } else if (MEDIA_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Persistent record of fetched videos keyed by extractor + video ID, so
+// renamed files or changed titles don't trigger re-downloads and different
+// videos with the same title don't collide.
+export default class DownloadArchive {
+    constructor(outputDir) {
+        this.outputDir = outputDir;
+        this.archiveFile = path.join(outputDir, '.download-archive.json');
+        this.store = new StateStore(this.archiveFile, { version: 1 });
+        this.entries = {};
+        // Set when the file couldn't be loaded, so it is never saved over
+        this.readOnly = false;
+        this.load();
+    }
+
+    static key(extractor, id) {
+        return `${String(extractor).toLowerCase()}:${id}`;
+    }
+
+    // Entries rebuilt from files on disk don't know their quality ('*').
+    // Clips are archived separately from the full video and from each other.
+    find(extractor, id, format, quality, clip = null) {
+        const records = this.entries[DownloadArchive.key(extractor, id)] || [];
+        return records.find(record =>
+            record.format === format &&
+            (record.quality === quality || record.quality === '*') &&
+            (record.clip || null) === clip
+        ) || null;
+    }
+
+    // Pass { save: false } when recording many at once, then call save()
+    record(extractor, id, details, { save = true } = {}) {
+        const key = DownloadArchive.key(extractor, id);
+        const records = (this.entries[key] ||= []);
+        const existing = records.findIndex(record =>
+            record.format === details.format &&
+            record.quality === details.quality &&
+            (record.clip || null) === (details.clip || null)
+        );
+
+        const record = { ...details, downloadedAt: new Date().toISOString() };
+        if (existing === -1) records.push(record);
+        else records[existing] = record;
+
+        if (save) this.save();
+    }
+
+    recordItem(item, options = {}) {
+        const ref = itemRef(item);
+        if (!ref) return;
+
+        this.record(ref.extractor, ref.id, {
+            format: item.format,
+            quality: item.quality,
+            clip: clipLabel(item.clip),
+            title: item.title,
+            filePath: item.filePath || null
+        }, options);
+    }
+
+    get size() {
+        return Object.keys(this.entries).length;
+    }
+
+    // Recreate the archive from completed queue items and from existing
+    // media files. A file's video comes from the source URL tagged into it,
+    // else an id in its name, else a completed item with the same file name
+    // (the file was moved since).
+    async rebuild(completedItems = []) {
+        if (this.readOnly) {
+            throw new Error(`${this.archiveFile} could not be loaded; move it aside to rebuild it`);
+        }
+        this.entries = {};
+
+        for (const item of completedItems) {
+            if (item.filePath && fs.existsSync(item.filePath)) {
+                this.recordItem(item, { save: false });
+            }
+        }
+
+        const known = new Set(completedItems.map(item => item.filePath).filter(Boolean));
+        const byName = new Map();
+        for (const item of completedItems) {
+            const ref = itemRef(item);
+            if (!ref) continue;
+            for (const file of [item.filePath, ...(item.outputFiles || [])].filter(Boolean)) {
+                byName.set(path.basename(file), ref);
+            }
+        }
+
+        for (const filePath of findMediaFiles(this.outputDir)) {
+            if (known.has(filePath)) continue;
+
+            const sourceUrl = await probeSourceUrl(filePath);
+            const ref = (sourceUrl && extractVideoId(sourceUrl)) ||
+                videoIdFromName(filePath) ||
+                byName.get(path.basename(filePath));
+            if (!ref) continue;
+
+            this.record(ref.extractor, ref.id, {
+                format: Object.keys(FORMATS).find(format => FORMATS[format].ext === path.extname(filePath).toLowerCase()),
+                quality: '*',
+                title: path.basename(filePath, path.extname(filePath)),
+                filePath
+            }, { save: false });
+        }
+
+        this.save();
+        return this.size;
+    }
+
+    load() {
+        try {
+            const state = this.store.load();
+            if (state) this.entries = state.entries || {};
+        } catch (error) {
+            console.error('⚠️ Failed to load download archive:', error.message);
+            console.error(`⚠️ New downloads won't be archived this session; ${this.archiveFile} is left as it is`);
+            this.readOnly = true;
+        }
+    }
+
+    save() {
+        if (this.readOnly) return;
+        try {
+            this.store.save({ entries: this.entries });
+        } catch (error) {
+            console.error('⚠️ Failed to save download archive:', error.message);
+        }
+    }
+}
@@ -0,0 +1,83 @@
+// Why a download failed. The queue picks a retry policy per category
+// (RETRY_POLICIES in Config.js) instead of retrying every error the same way.
+export const ERROR_CATEGORIES = {
+    RATE_LIMITED: 'rate-limited',
+    FORBIDDEN: 'forbidden',
+    GEO_BLOCKED: 'geo-blocked',
+    UNAVAILABLE: 'unavailable',
+    AGE_RESTRICTED: 'age-restricted',
+    FORMAT_UNAVAILABLE: 'format-unavailable',
+    NETWORK: 'network',
+    UNKNOWN: 'unknown'
+};
+
+const {
+    RATE_LIMITED, FORBIDDEN, GEO_BLOCKED, UNAVAILABLE,
+    AGE_RESTRICTED, FORMAT_UNAVAILABLE, NETWORK, UNKNOWN
+} = ERROR_CATEGORIES;
+
+// Checked in order against yt-dlp's stderr or an error message, so the
+// specific patterns (geo blocks mention "blocked" too) come first
+const ERROR_PATTERNS = [
+    [AGE_RESTRICTED, /Sign in to confirm your age|age[- ]restricted|inappropriate for some users/i],
+    [GEO_BLOCKED, /available (in|from) your (country|location)|geo[- ]?restrict|blocked it in your country/i],
+    [RATE_LIMITED, /HTTP (Error )?429|Too Many Requests|rate[- ]limit/i],
+    [FORBIDDEN, /HTTP (Error )?403|Forbidden|Sign in to confirm you.re not a bot/i],
+    [UNAVAILABLE, /Private video|Video unavailable|has been removed|no longer available|does not exist|account .* terminated|HTTP (Error )?404|Drive file is private/i],
+    [FORMAT_UNAVAILABLE, /Requested format is not available|No video formats|No suitable formats/i],
+    [NETWORK, /ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|ENETUNREACH|timed out|Connection (reset|refused|aborted)|Unable to download webpage|Temporary failure in name resolution|IncompleteRead/i]
+];
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EPIPE'];
+
+export class DownloadError extends Error {
+    constructor(message, category = UNKNOWN) {
+        super(message);
+        this.name = 'DownloadError';
+        this.category = category;
+    }
+}
+
+// Category for yt-dlp output, an HTTP status or any thrown error
+export function classifyError(error) {
+    if (error instanceof DownloadError) return error.category;
+    if (NETWORK_CODES.includes(error?.code)) return NETWORK;
+
+    const text = typeof error === 'string' ? error : error?.message || '';
+    const match = ERROR_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : UNKNOWN;
+}
+
+export function toDownloadError(error) {
+    if (error instanceof DownloadError) return error;
+    return new DownloadError(error?.message || String(error), classifyError(error));
+}
+
+// The DownloadError for a failed yt-dlp run, with a readable message
+export function ytDlpError(output, code, { format, quality, isVideo, label }) {
+    const lines = output.split('\n');
+    const lastError = lines.slice().reverse().find(line => line.startsWith('ERROR:'));
+
+    // The final error decides; warnings about single fragments or retried
+    // requests only count when it says nothing recognizable
+    let category = lastError ? classifyError(lastError) : UNKNOWN;
+    if (category === UNKNOWN) {
+        category = classifyError(lines.filter(line => !line.startsWith('WARNING:')).join('\n'));
+    }
+
+    const messages = {
+        [RATE_LIMITED]: 'Rate limited - try again later or use a different proxy',
+        [FORBIDDEN]: 'Access forbidden - proxy or region issue',
+        [GEO_BLOCKED]: 'Not available in this region',
+        [UNAVAILABLE]: 'Video is private or unavailable',
+        [AGE_RESTRICTED]: 'Age-restricted content requires authentication',
+        [FORMAT_UNAVAILABLE]: isVideo
+            ? `No ${quality} ${label} format available for this video`
+            : 'No audio stream available for extraction',
+        [NETWORK]: 'Network error - connection failed or timed out',
+        [UNKNOWN]: lastError?.replace(/^ERROR:\s*/, '').trim() ||
+            output.trim() || `yt-dlp failed with code ${code} (${format.toUpperCase()})`
+    };
+
+    return new DownloadError(messages[category], category);
+}
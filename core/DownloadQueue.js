@@ -1,25 +1,134 @@
-import { DEFAULT_OUTPUT_DIR, MAX_CONCURRENT_DOWNLOADS, MAX_ATTEMPTS, DEFAULT_FORMAT, DEFAULT_QUALITY } from './Config.js';
+import { DEFAULT_OUTPUT_DIR, MAX_CONCURRENT_DOWNLOADS, MAX_CONCURRENCY, ADAPTIVE_CONCURRENCY, MAX_ATTEMPTS, DEFAULT_FORMAT, DEFAULT_QUALITY, DEFAULT_FILENAME_TEMPLATE, SUPPORTED_FORMATS, FORMATS, PRIORITIES, DEFAULT_PRIORITY, RETRY_POLICIES, RETRY_JITTER } from './Config.js';
 import proxyRotator from './ProxyRotator.js';
 import { EventEmitter } from 'node:events';
 import fs from 'node:fs';
 import path from 'node:path';
-import { downloadWithYtDlp } from './Downloader.js';
+import crypto from 'node:crypto';
+import { downloadWithYtDlp, removePartialFiles } from './Downloader.js';
+import { isCollectionUrl, expandPlaylist } from './Playlist.js';
+import DownloadArchive, { extractVideoId } from './DownloadArchive.js';
+import StateStore from './StateStore.js';
+import { createClip, clipFromUrl, clipLabel } from './Clip.js';
+import GoogleDriveDownloader, { isDriveUrl, downloadDriveItem } from './GDriveDownloader.js';
+import { ERROR_CATEGORIES, toDownloadError } from './DownloadErrors.js';
+import Bandwidth, { formatRate } from './Bandwidth.js';
+
+// How often time-of-day bandwidth limits and download windows are checked
+const BANDWIDTH_CHECK_MS = 30 * 1000;
+// Running downloads settle for this long before their shares are re-applied
+const BANDWIDTH_REBALANCE_MS = 5 * 1000;
+
+function priorityRank(item) {
+    const rank = PRIORITIES.indexOf(item.priority);
+    return rank === -1 ? PRIORITIES.indexOf(DEFAULT_PRIORITY) : rank;
+}
+
+// Exponential backoff with jitter before the given (1-based) retry
+function retryDelay(policy, attempt) {
+    const delay = Math.min(policy.baseDelay * 2 ** (attempt - 1), policy.maxDelay);
+    return Math.round(delay * (1 - RETRY_JITTER + Math.random() * 2 * RETRY_JITTER));
+}
+
+// A number of parallel downloads, or 'auto' for adaptive concurrency
+export function parseConcurrency(value) {
+    if (String(value).toLowerCase() === 'auto') return 'auto';
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CONCURRENCY) {
+        throw new Error(`Concurrency must be a number from 1 to ${MAX_CONCURRENCY}, or "auto"`);
+    }
+    return limit;
+}
+
+const QUEUE_STATE_VERSION = 1;
+
+// Fields older sessions didn't save
+function upgradeItem(item) {
+    return {
+        ...item,
+        id: String(item.id),
+        format: item.format || 'mp3',
+        quality: item.quality || 'best',
+        priority: item.priority || DEFAULT_PRIORITY,
+        attempts: item.attempts || 0
+    };
+}
+
+const QUEUE_STATE_MIGRATIONS = {
+    // Unversioned .queue-state.json from before the state store
+    1: (state) => ({
+        ...state,
+        queue: (state.queue || []).map(upgradeItem),
+        completed: (state.completed || []).map(upgradeItem),
+        failed: (state.failed || []).map(upgradeItem),
+        paused: (state.paused || []).map(upgradeItem),
+        cancelled: (state.cancelled || []).map(upgradeItem)
+    })
+};
+
+// Queue items as saved or sent over the control socket: no child process
+// handle, pending stop request or rate limit of the current run
+export function serializeItem({ process, abort, stopReason, rateLimit, ...item }) {
+    return item;
+}
+
+// Short hex ids that are easy to type in `tuneit queue pause <id>`
+function createItemId() {
+    return crypto.randomBytes(4).toString('hex');
+}
 
 export default class DownloadQueue extends EventEmitter {
-    constructor(outputDir = DEFAULT_OUTPUT_DIR, defaultFormat = DEFAULT_FORMAT, defaultQuality = DEFAULT_QUALITY) {
+    // options.autoStart = false loads the saved queue without starting
+    // downloads, for one-off commands that only edit the queue.
+    // options.persist = false never writes the state file, for commands run
+    // while another instance owns the queue.
+    constructor(outputDir = DEFAULT_OUTPUT_DIR, defaultFormat = DEFAULT_FORMAT, defaultQuality = DEFAULT_QUALITY, options = {}) {
         super();
         this.queue = [];
         this.processing = new Map();
         this.completed = [];
         this.failed = [];
+        this.paused = [];
+        this.cancelled = [];
+        this.autoStart = options.autoStart !== false;
+        this.persist = options.persist !== false;
         this.maxConcurrent = MAX_CONCURRENT_DOWNLOADS;
+        this.adaptiveConcurrency = false;
+        this.healthyStreak = 0;
+        this.lastRateLimitAt = 0;
+        this.applyConcurrency(options.concurrency ?? MAX_CONCURRENT_DOWNLOADS);
         this.outputDir = outputDir;
         this.defaultFormat = defaultFormat;
         this.defaultQuality = defaultQuality;
-        this.proxyRotator = new proxyRotator();
+        this.filenameTemplate = DEFAULT_FILENAME_TEMPLATE;
+        this.proxyRotator = new proxyRotator({
+            proxies: options.proxies,
+            file: options.proxyFile,
+            statsFile: path.join(outputDir, '.proxy-stats.json'),
+            health: options.proxyHealth,
+            strategy: options.proxyStrategy
+        });
+        if (this.autoStart) this.proxyRotator.startHealthChecks();
+
+        // Bandwidth cap and download windows (settings.bandwidth)
+        try {
+            this.bandwidth = new Bandwidth(options.bandwidth);
+        } catch (error) {
+            console.error(`⚠️ Ignoring bandwidth settings: ${error.message}`);
+            this.bandwidth = new Bandwidth();
+        }
+        this.windowOpen = this.bandwidth.inWindow();
+        this.rateLimit = this.bandwidth.currentLimit();
+        if (this.bandwidth.isScheduled) {
+            this.bandwidthTimer = setInterval(() => this.checkBandwidth(), BANDWIDTH_CHECK_MS);
+        }
 
         // Persistence
         this.queueFile = path.join(outputDir, '.queue-state.json');
+        this.stateStore = new StateStore(this.queueFile, {
+            version: QUEUE_STATE_VERSION,
+            migrations: QUEUE_STATE_MIGRATIONS
+        });
         this.progressData = new Map();
         this.startTime = Date.now();
         this.totalBytes = 0;
@@ -31,42 +140,103 @@ export default class DownloadQueue extends EventEmitter {
         }
 
         // Create format-specific subdirectories
-        const mp3Dir = path.join(outputDir, 'mp3');
-        const mp4Dir = path.join(outputDir, 'mp4');
+        for (const format of SUPPORTED_FORMATS) {
+            const formatDir = path.join(outputDir, format);
+            if (!fs.existsSync(formatDir)) fs.mkdirSync(formatDir, { recursive: true });
+        }
 
-        if (!fs.existsSync(mp3Dir)) fs.mkdirSync(mp3Dir, { recursive: true });
-        if (!fs.existsSync(mp4Dir)) fs.mkdirSync(mp4Dir, { recursive: true });
+        this.archive = new DownloadArchive(outputDir);
 
         // Load persisted queue state
         this.loadQueueState();
 
         // Auto-save every 5 seconds
-        setInterval(() => this.saveQueueState(), 5000);
+        if (this.persist) this.saveTimer = setInterval(() => this.saveQueueState(), 5000);
     }
 
+    // Returns the new item's id, or a promise of ids when the URL is a
+    // playlist/channel that first has to be expanded into separate items.
     addUrl(url, options = {}) {
+        if (isCollectionUrl(url)) {
+            return this.addPlaylist(url, options);
+        }
+        if (isDriveUrl(url)) {
+            return this.addDriveFile(url, options);
+        }
+
         const {
             title = null,
             format = this.defaultFormat,
-            quality = this.defaultQuality
+            quality = this.defaultQuality,
+            filenameTemplate = this.filenameTemplate,
+            videoId = null,
+            playlistIndex = null,
+            playlistTitle = null,
+            playlistId = null,
+            sourceUrl = null,
+            outputDir = null,
+            ignoreArchive = false,
+            start = null,
+            end = null,
+            splitChapters = false,
+            subtitles = null,
+            priority = DEFAULT_PRIORITY
         } = options;
 
+        if (!PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown priority "${priority}". Use ${PRIORITIES.join(', ')}`);
+        }
+
+        // Explicit --start/--end win over a t= timestamp in the pasted link
+        const clip = options.clip !== undefined
+            ? options.clip
+            : (start || end) ? createClip(start, end) : clipFromUrl(url);
+
+        // Skip videos already fetched in this format/quality, whatever their
+        // title or file name is now
+        const ref = videoId ? { extractor: 'youtube', id: videoId } : extractVideoId(url);
+        const archived = ref && !ignoreArchive &&
+            this.archive.find(ref.extractor, ref.id, format.toLowerCase(), quality, clipLabel(clip));
+        if (archived) {
+            console.log(`⏭️ Already downloaded: ${archived.title || url} (${format.toUpperCase()}, ${quality})`);
+            this.emit('itemSkipped', { url, title: archived.title, reason: 'archived', archived });
+            return null;
+        }
+
         const item = {
-            id: Date.now() + Math.random(),
+            id: createItemId(),
             url,
             title: title || 'Unknown',
             format: format.toLowerCase(),
             quality,
+            filenameTemplate,
+            clip,
+            splitChapters,
+            subtitles,
+            subtitleFiles: [],
             addedAt: new Date(),
             attempts: 0,
             maxAttempts: MAX_ATTEMPTS,
             status: 'queued',
+            priority,
             size: 0,
-            downloadedSize: 0
+            downloadedSize: 0,
+            extractor: ref ? ref.extractor : null,
+            videoId: ref ? ref.id : videoId,
+            playlistIndex,
+            playlistTitle,
+            playlistId,
+            sourceUrl,
+            outputDir
         };
 
-        this.queue.push(item);
-        console.log(`📥 Added to queue: ${url} (${format.toUpperCase()}, ${quality})`);
+        const clipInfo = clip ? `, clip ${clipLabel(clip)}` : '';
+        return this.queueNewItem(item, `${format.toUpperCase()}, ${quality}${clipInfo}`);
+    }
+
+    queueNewItem(item, description) {
+        this.enqueue(item);
+        console.log(`📥 Added to queue: ${item.url} (${description})`);
         this.emit('queueUpdated', this.getStatus());
         this.saveQueueState();
 
@@ -75,6 +245,66 @@ export default class DownloadQueue extends EventEmitter {
         return item.id;
     }
 
+    // Single Google Drive files are downloaded as-is; folders still go
+    // through the wizard, which lets you pick what to fetch
+    addDriveFile(url, options = {}) {
+        const { title = null, priority = DEFAULT_PRIORITY } = options;
+        if (/\/folders\//.test(url)) {
+            throw new Error('Google Drive folders can only be downloaded from the wizard');
+        }
+
+        const driveId = new GoogleDriveDownloader().extractFileId(url);
+        if (!driveId) throw new Error(`Not a Google Drive file link: ${url}`);
+        if (!PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown priority "${priority}". Use ${PRIORITIES.join(', ')}`);
+        }
+
+        return this.queueNewItem({
+            id: createItemId(),
+            url,
+            source: 'gdrive',
+            driveId,
+            title: title || 'Google Drive file',
+            format: 'file',
+            quality: 'original',
+            addedAt: new Date(),
+            attempts: 0,
+            maxAttempts: MAX_ATTEMPTS,
+            status: 'queued',
+            priority,
+            size: 0
+        }, 'Google Drive');
+    }
+
+    // `filter(entry)` can drop entries before they are queued; `dates` asks
+    // for entries' upload dates (entry.uploadDate) to filter on
+    async addPlaylist(url, options = {}) {
+        const { items = null, filter = null, dates = false, ...itemOptions } = options;
+        console.log(`📃 Expanding playlist: ${url}${items ? ` (items ${items})` : ''}`);
+
+        let entries;
+        try {
+            entries = await expandPlaylist(url, { items, dates, proxy: this.proxyRotator.getProxyFor() });
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            this.emit('playlistFailed', { url, error });
+            return [];
+        }
+
+        const playlistTitle = entries[0].playlistTitle || 'Playlist';
+        console.log(`📃 ${playlistTitle}: ${entries.length} video(s)`);
+        this.emit('playlistExpanded', { url, title: playlistTitle, count: entries.length });
+
+        const wanted = filter ? entries.filter(filter) : entries;
+        if (filter && wanted.length < entries.length) {
+            console.log(`⏭️ Skipping ${entries.length - wanted.length} of ${entries.length} video(s)`);
+        }
+
+        return wanted.map(({ url: entryUrl, ...entry }) =>
+            this.addUrl(entryUrl, { ...itemOptions, ...entry, sourceUrl: url })
+        );
+    }
+
     // Convenience methods for different formats
     addMp3(url, quality = this.defaultQuality, title = null) {
         return this.addUrl(url, { title, format: 'mp3', quality });
@@ -85,11 +315,24 @@ export default class DownloadQueue extends EventEmitter {
     }
 
     async processNext() {
-        if (this.processing.size >= this.maxConcurrent || this.queue.length === 0) {
+        if (!this.autoStart || this.processing.size >= this.maxConcurrent || this.queue.length === 0) {
             return;
         }
 
-        const item = this.queue.shift();
+        // Outside the download windows; checkBandwidth() restarts the queue
+        if (!this.windowOpen) return;
+
+        // The queue is kept in lane order, so the first item not waiting
+        // out a retry backoff is the next to run
+        const now = Date.now();
+        const index = this.queue.findIndex(queued => !queued.retryAt || queued.retryAt <= now);
+        if (index === -1) {
+            this.scheduleRetry();
+            return;
+        }
+
+        const [item] = this.queue.splice(index, 1);
+        delete item.retryAt;
         item.status = 'processing';
         item.startedAt = new Date();
         this.processing.set(item.id, item);
@@ -98,43 +341,527 @@ export default class DownloadQueue extends EventEmitter {
         this.emit('downloadStarted', item);
         this.saveQueueState();
 
-        const proxy = this.proxyRotator.getCurrentProxy();
+        // Each download asks for its own proxy; Drive downloads don't use them
+        const proxy = item.source === 'gdrive' ? null : this.proxyRotator.getProxyFor(item);
+
+        const emitProgress = (progressInfo) => this.handleProgress(item.id, progressInfo);
 
         try {
-            await downloadWithYtDlp(
-                item,
-                proxy,
-                this.outputDir,
-                (progressInfo) => this.handleProgress(item.id, progressInfo),
-                (proxyToFail) => this.proxyRotator.markAsFailed(proxyToFail)
-            );
+            if (item.source === 'gdrive') {
+                // Drive streams are paced by us, so they follow the share live.
+                // There is no process to kill; stopActive() aborts the request.
+                const controller = new AbortController();
+                item.abort = () => controller.abort();
+                await downloadDriveItem(item, this.outputDir, emitProgress, {
+                    rateLimit: () => this.bandwidthShare(),
+                    signal: controller.signal
+                });
+            } else {
+                // Fixed for the whole run; rebalanceBandwidth() restarts the
+                // download if the share changes
+                item.rateLimit = this.bandwidthShare();
+                this.scheduleRebalance();
+                await downloadWithYtDlp(
+                    item,
+                    proxy,
+                    this.outputDir,
+                    emitProgress,
+                    { rateLimit: item.rateLimit }
+                );
+            }
 
             item.status = 'completed';
             item.completedAt = new Date();
+            delete item.error;
+            delete item.errorCategory;
             this.completed.push(item);
+            this.downloadedBytes += item.size || 0;
+            this.archive.recordItem(item);
+            if (proxy) {
+                this.proxyRotator.markAsSucceeded(proxy, { bytes: item.size || 0, ms: item.completedAt - item.startedAt });
+            }
+            this.proxyRotator.release(item);
             this.emit('downloadCompleted', item);
+            this.adaptConcurrency(null);
 
         } catch (error) {
-            console.log(`❌ Failed: ${item.title} - ${error.message}`);
-            item.attempts++;
-
-            if (item.attempts < item.maxAttempts) {
-                console.log(`🔄 Retrying (${item.attempts}/${item.maxAttempts}): ${item.title}`);
-                item.status = 'queued';
-                this.queue.unshift(item);
+            if (item.stopReason) {
+                this.handleStopped(item);
             } else {
-                item.status = 'failed';
-                item.failedAt = new Date();
-                this.failed.push({ ...item, error: error.message });
-                this.emit('downloadFailed', item, error);
+                this.handleFailure(item, toDownloadError(error), proxy);
             }
         }
 
+        delete item.process;
+        delete item.abort;
+        delete item.stopReason;
+        delete item.rateLimit;
         this.processing.delete(item.id);
+        this.scheduleRebalance();
         this.emit('queueUpdated', this.getStatus());
         this.saveQueueState();
 
-        setTimeout(() => this.processNext(), 1000);
+        setTimeout(() => this.fillSlots(), 1000);
+    }
+
+    // Downloads sharing the cap: the running ones, plus queued ones that are
+    // about to take free slots so a batch starting together gets equal shares
+    bandwidthSlots() {
+        if (!this.autoStart || !this.windowOpen) return this.processing.size;
+
+        const now = Date.now();
+        const ready = this.queue.filter(queued => !queued.retryAt || queued.retryAt <= now).length;
+        const free = Math.max(0, this.maxConcurrent - this.processing.size);
+        return this.processing.size + Math.min(free, ready);
+    }
+
+    // Each download's part of the global cap, in bytes/s (null: unlimited)
+    bandwidthShare() {
+        return this.bandwidth.share(Math.max(1, this.bandwidthSlots()));
+    }
+
+    scheduleRebalance() {
+        if (this.rebalanceTimer || !this.bandwidth.currentLimit()) return;
+        this.rebalanceTimer = setTimeout(() => {
+            this.rebalanceTimer = null;
+            this.rebalanceBandwidth();
+        }, BANDWIDTH_REBALANCE_MS).unref();
+    }
+
+    // yt-dlp's --limit-rate is fixed when it starts, so downloads whose
+    // share changed since are restarted with the new one. They continue
+    // from their .part files. Drive streams follow the share by themselves.
+    rebalanceBandwidth() {
+        const share = this.bandwidthShare();
+        const stale = [...this.processing.values()]
+            .filter(item => item.process && !item.stopReason && item.rateLimit !== share);
+        if (stale.length === 0) return;
+
+        console.log(`🚦 Restarting ${stale.length} download(s) at ${formatRate(share)} each`);
+        stale.forEach(item => this.stopActive(item, 'suspended'));
+    }
+
+    // Follows time-of-day changes: opens or closes the download window, and
+    // re-applies the shares when the cap changes. Closing the window stops
+    // every running download, Drive ones included.
+    checkBandwidth() {
+        const open = this.bandwidth.inWindow();
+        const limit = this.bandwidth.currentLimit();
+        const windowChanged = open !== this.windowOpen;
+        const limitChanged = limit !== this.rateLimit;
+        if (!windowChanged && !limitChanged) return;
+
+        this.windowOpen = open;
+        this.rateLimit = limit;
+
+        if (windowChanged) {
+            console.log(open
+                ? '☀️ Download window open - resuming the queue'
+                : `🌙 Outside the download window - queue paused until ${this.bandwidth.nextWindowStart()}`);
+        }
+        if (limitChanged) console.log(`🚦 Bandwidth limit now ${formatRate(limit)}`);
+
+        if (!open) {
+            for (const item of this.processing.values()) {
+                if (item.process || item.abort) this.stopActive(item, 'suspended');
+            }
+        } else if (limitChanged) {
+            this.rebalanceBandwidth();
+        }
+
+        this.emit('queueUpdated', this.getStatus());
+        if (open) this.fillSlots();
+    }
+
+    // Starts as many queued items as there are free download slots
+    fillSlots() {
+        const free = this.maxConcurrent - this.processing.size;
+        for (let i = 0; i < free; i++) this.processNext();
+    }
+
+    applyConcurrency(value) {
+        const concurrency = parseConcurrency(value);
+        this.adaptiveConcurrency = concurrency === 'auto';
+        this.healthyStreak = 0;
+
+        if (this.adaptiveConcurrency) {
+            const { min, max } = ADAPTIVE_CONCURRENCY;
+            this.maxConcurrent = Math.min(Math.max(this.maxConcurrent, min), max);
+        } else {
+            this.maxConcurrent = concurrency;
+        }
+    }
+
+    // Changes parallelism at runtime. Extra slots start queued items right
+    // away; when lowering, running downloads finish rather than being stopped.
+    setConcurrency(value) {
+        this.applyConcurrency(value);
+        console.log(`⚙️ Concurrency: ${this.maxConcurrent}${this.adaptiveConcurrency ? ' (auto)' : ''}`);
+        this.emit('queueUpdated', this.getStatus());
+        this.fillSlots();
+        return this.getConcurrency();
+    }
+
+    getConcurrency() {
+        return {
+            mode: this.adaptiveConcurrency ? 'auto' : 'fixed',
+            current: this.maxConcurrent,
+            active: this.processing.size
+        };
+    }
+
+    // Adaptive mode: back off on rate limits, creep back up while healthy.
+    // Called with the error category of a failure, or null for a success.
+    adaptConcurrency(category) {
+        if (!this.adaptiveConcurrency) return;
+        const { min, max, raiseAfter, cooldown } = ADAPTIVE_CONCURRENCY;
+
+        if (category === ERROR_CATEGORIES.RATE_LIMITED) {
+            this.healthyStreak = 0;
+            this.lastRateLimitAt = Date.now();
+            const lowered = Math.max(min, Math.floor(this.maxConcurrent / 2));
+            if (lowered < this.maxConcurrent) {
+                this.maxConcurrent = lowered;
+                console.log(`📉 Rate limited - concurrency lowered to ${lowered}`);
+            }
+            return;
+        }
+        if (category) return;
+
+        this.healthyStreak++;
+        if (this.healthyStreak >= raiseAfter && this.maxConcurrent < max && Date.now() - this.lastRateLimitAt >= cooldown) {
+            this.healthyStreak = 0;
+            this.maxConcurrent++;
+            console.log(`📈 Downloads healthy - concurrency raised to ${this.maxConcurrent}`);
+        }
+    }
+
+    // Retries per the error category's policy (RETRY_POLICIES), or gives up
+    handleFailure(item, error, proxy) {
+        const policy = RETRY_POLICIES[error.category] || RETRY_POLICIES.unknown;
+        item.attempts++;
+        item.error = error.message;
+        item.errorCategory = error.category;
+        console.log(`❌ Failed (${error.category}): ${item.title} - ${error.message}`);
+        this.adaptConcurrency(error.category);
+
+        if (policy.switchProxy && proxy) {
+            this.proxyRotator.markAsFailed(proxy, error.message);
+        }
+
+        const hasOtherProxy = this.proxyRotator.proxies.some(other => other !== proxy);
+        const retryable = policy.retry && (!policy.proxyOnly || hasOtherProxy);
+
+        if (retryable && item.attempts < item.maxAttempts) {
+            const delay = retryDelay(policy, item.attempts);
+            console.log(`🔄 Retrying in ${Math.ceil(delay / 1000)}s (${item.attempts}/${item.maxAttempts}): ${item.title}`);
+            item.status = 'queued';
+            item.retryAt = Date.now() + delay;
+            this.enqueue(item, { front: true });
+            this.scheduleRetry();
+        } else {
+            if (!retryable) console.log(`⛔ Not retrying ${error.category} errors: ${item.title}`);
+            item.status = 'failed';
+            item.failedAt = new Date();
+            this.proxyRotator.release(item);
+            this.failed.push({ ...item, process: undefined, abort: undefined, rateLimit: undefined });
+            this.emit('downloadFailed', item, error);
+        }
+    }
+
+    // Wakes the queue when the earliest retry backoff runs out
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        const waiting = this.queue.filter(item => item.retryAt).map(item => item.retryAt);
+        if (waiting.length === 0) return;
+
+        this.retryTimer = setTimeout(() => this.processNext(), Math.max(0, Math.min(...waiting) - Date.now()));
+    }
+
+    // Inserts at the end (or front) of the item's priority lane
+    enqueue(item, { front = false } = {}) {
+        const rank = priorityRank(item);
+        let index = this.queue.findIndex(queued =>
+            front ? priorityRank(queued) >= rank : priorityRank(queued) > rank
+        );
+        if (index === -1) index = this.queue.length;
+        this.queue.splice(index, 0, item);
+    }
+
+    // [start, end) of the queue indexes holding the given lane
+    laneBounds(rank) {
+        let start = this.queue.findIndex(queued => priorityRank(queued) >= rank);
+        if (start === -1) start = this.queue.length;
+        let end = this.queue.findIndex(queued => priorityRank(queued) > rank);
+        if (end === -1) end = this.queue.length;
+        return [start, end];
+    }
+
+    // Settles an active download that pause/cancel/remove/suspendAll killed
+    handleStopped(item) {
+        switch (item.stopReason) {
+            case 'paused':
+                this.markPaused(item);
+                break;
+            case 'cancelled':
+                this.markCancelled(item);
+                break;
+            case 'removed':
+                removePartialFiles(item);
+                this.proxyRotator.release(item);
+                console.log(`🗑️ Removed: ${item.title}`);
+                this.emit('itemRemoved', item);
+                break;
+            case 'suspended':
+                // Shutdown or a bandwidth change: back to the front of the
+                // queue, for the next session or the next free slot
+                item.status = 'queued';
+                this.enqueue(item, { front: true });
+                break;
+        }
+        this.progressData.delete(item.id);
+    }
+
+    markPaused(item) {
+        item.status = 'paused';
+        item.pausedAt = new Date();
+        this.paused.push(item);
+        console.log(`⏸️ Paused: ${item.title}`);
+        this.emit('itemPaused', item);
+    }
+
+    markCancelled(item) {
+        removePartialFiles(item);
+        this.proxyRotator.release(item);
+        item.status = 'cancelled';
+        item.cancelledAt = new Date();
+        this.cancelled.push(item);
+        console.log(`🚫 Cancelled: ${item.title}`);
+        this.emit('itemCancelled', item);
+    }
+
+    // Accepts a full id or any unambiguous prefix of one
+    findItem(id) {
+        const key = String(id).trim();
+        if (!key) return null;
+
+        const lists = {
+            processing: Array.from(this.processing.values()),
+            queue: this.queue,
+            paused: this.paused,
+            failed: this.failed,
+            cancelled: this.cancelled,
+            completed: this.completed
+        };
+
+        const matches = [];
+        for (const [list, items] of Object.entries(lists)) {
+            for (const item of items) {
+                if (String(item.id) === key) return { item, list };
+                if (String(item.id).startsWith(key)) matches.push({ item, list });
+            }
+        }
+
+        if (matches.length > 1) {
+            throw new Error(`Id "${key}" matches ${matches.length} items, use more characters`);
+        }
+        return matches[0] || null;
+    }
+
+    requireItem(id) {
+        const found = this.findItem(id);
+        if (!found) {
+            const error = new Error(`No queue item with id "${id}"`);
+            error.code = 'ITEM_NOT_FOUND';
+            throw error;
+        }
+        return found;
+    }
+
+    // Takes an item out of the list findItem() found it in
+    detachItem({ item, list }) {
+        const items = this[list];
+        const index = items.indexOf(item);
+        if (index !== -1) items.splice(index, 1);
+        return item;
+    }
+
+    // Kills an active download; processNext() settles it once yt-dlp exits
+    stopActive(item, reason) {
+        item.stopReason = reason;
+        if (item.process) item.process.kill('SIGINT');
+        if (item.abort) item.abort();
+    }
+
+    afterControl() {
+        this.emit('queueUpdated', this.getStatus());
+        this.saveQueueState();
+    }
+
+    pause(id) {
+        const found = this.requireItem(id);
+        const { item, list } = found;
+
+        if (list === 'processing') {
+            this.stopActive(item, 'paused');
+        } else if (list === 'queue') {
+            this.markPaused(this.detachItem(found));
+            this.afterControl();
+        } else {
+            throw new Error(`Cannot pause a ${item.status} item`);
+        }
+        return item;
+    }
+
+    resume(id) {
+        const found = this.requireItem(id);
+        const { item, list } = found;
+        if (list !== 'paused') throw new Error(`Cannot resume a ${item.status} item`);
+
+        this.detachItem(found);
+        item.status = 'queued';
+        delete item.pausedAt;
+        delete item.retryAt;
+        // Ahead of new items in its lane: it already has a partial download
+        this.enqueue(item, { front: true });
+        console.log(`▶️ Resumed: ${item.title}`);
+        this.emit('itemResumed', item);
+        this.afterControl();
+        this.processNext();
+        return item;
+    }
+
+    cancel(id) {
+        const found = this.requireItem(id);
+        const { item, list } = found;
+
+        if (list === 'processing') {
+            this.stopActive(item, 'cancelled');
+        } else if (list === 'queue' || list === 'paused') {
+            this.markCancelled(this.detachItem(found));
+            this.afterControl();
+        } else {
+            throw new Error(`Cannot cancel a ${item.status} item`);
+        }
+        return item;
+    }
+
+    retry(id) {
+        const found = this.requireItem(id);
+        const { item, list } = found;
+        if (list !== 'failed' && list !== 'cancelled') {
+            throw new Error(`Cannot retry a ${item.status} item`);
+        }
+
+        this.detachItem(found);
+        delete item.error;
+        delete item.errorCategory;
+        delete item.retryAt;
+        delete item.failedAt;
+        delete item.cancelledAt;
+        item.status = 'queued';
+        item.attempts = 0;
+        this.enqueue(item);
+        console.log(`🔄 Retrying: ${item.title}`);
+        this.emit('itemRetried', item);
+        this.afterControl();
+        this.processNext();
+        return item;
+    }
+
+    requireQueued(id) {
+        const found = this.requireItem(id);
+        if (found.list !== 'queue') {
+            throw new Error(`Only queued items can be moved (this one is ${found.item.status})`);
+        }
+        return found;
+    }
+
+    // Moves a queued item to a 1-based position in the queue. Items stay in
+    // their priority lane, so the position is clamped to the lane.
+    moveTo(id, position) {
+        const found = this.requireQueued(id);
+        const { item } = found;
+        const target = Number(position);
+        if (!Number.isInteger(target) || target < 1) {
+            throw new Error(`Invalid position: ${position}`);
+        }
+
+        this.detachItem(found);
+        const [start, end] = this.laneBounds(priorityRank(item));
+        const index = Math.min(Math.max(target - 1, start), end);
+        this.queue.splice(index, 0, item);
+
+        console.log(`↕️ Moved to position ${index + 1}: ${item.title}`);
+        this.emit('itemMoved', { item, position: index + 1 });
+        this.afterControl();
+        return item;
+    }
+
+    moveToTop(id) {
+        return this.moveTo(id, 1);
+    }
+
+    moveToBottom(id) {
+        return this.moveTo(id, this.queue.length);
+    }
+
+    setPriority(id, priority) {
+        if (!PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown priority "${priority}". Use ${PRIORITIES.join(', ')}`);
+        }
+
+        const found = this.requireItem(id);
+        const { item, list } = found;
+        item.priority = priority;
+
+        // Queued items change lane now; others are placed when they're queued again
+        if (list === 'queue') {
+            this.detachItem(found);
+            this.enqueue(item);
+        }
+
+        console.log(`🏷️ Priority ${priority}: ${item.title}`);
+        this.emit('itemPriorityChanged', item);
+        this.afterControl();
+        return item;
+    }
+
+    // Top of the high lane, so it starts as soon as a slot is free
+    downloadNext(id) {
+        const found = this.requireQueued(id);
+        const { item } = found;
+
+        this.detachItem(found);
+        item.priority = 'high';
+        delete item.retryAt;
+        this.enqueue(item, { front: true });
+
+        console.log(`⏭️ Downloading next: ${item.title}`);
+        this.emit('itemMoved', { item, position: 1 });
+        this.afterControl();
+        this.processNext();
+        return item;
+    }
+
+    // Drops an item from whichever list holds it. Partial downloads are
+    // deleted; finished files stay on disk.
+    remove(id) {
+        const found = this.requireItem(id);
+        const { item, list } = found;
+
+        if (list === 'processing') {
+            this.stopActive(item, 'removed');
+            return item;
+        }
+
+        this.detachItem(found);
+        if (list !== 'completed') removePartialFiles(item);
+        this.proxyRotator.release(item);
+        console.log(`🗑️ Removed: ${item.title}`);
+        this.emit('itemRemoved', item);
+        this.afterControl();
+        return item;
     }
 
     handleProgress(itemId, progressInfo) {
@@ -152,29 +879,19 @@ export default class DownloadQueue extends EventEmitter {
             if (this.processing.has(itemId)) {
                 totalProgress += progress.percent || 0;
                 activeDownloads++;
-
-                const speedStr = progress.speed || '0';
-                const speedMatch = speedStr.match(/([\d.]+)/);
-                if (speedMatch) {
-                    const speed = parseFloat(speedMatch[1]);
-                    if (speedStr.includes('MB')) totalSpeed += speed * 1024;
-                    else if (speedStr.includes('KB')) totalSpeed += speed;
-                }
+                totalSpeed += progress.speed || 0;
             }
         }
 
         const averageProgress = activeDownloads > 0 ? totalProgress / activeDownloads : 0;
         const overallProgress = this.getOverallProgress();
 
-        // Ensure totalSpeed is a number
-        const speedValue = isNaN(totalSpeed) ? 0 : totalSpeed;
-
         this.emit('aggregateProgress', {
             averageProgress: averageProgress.toFixed(1),
             activeDownloads,
-            totalSpeed: speedValue.toFixed(1),
+            totalSpeed, // bytes/sec
             overallProgress: overallProgress.toFixed(1),
-            eta: this.calculateETA()
+            eta: this.calculateETA(totalSpeed)
         });
     }
 
@@ -184,7 +901,33 @@ export default class DownloadQueue extends EventEmitter {
         return total > 0 ? (done / total) * 100 : 0;
     }
 
-    calculateETA() {
+    // Bytes still to fetch: what active downloads report as remaining, plus
+    // queued items estimated at the average size of completed ones
+    getRemainingBytes() {
+        let remaining = 0;
+        for (const [itemId, progress] of this.progressData) {
+            if (!this.processing.has(itemId) || !progress.totalBytes) continue;
+            remaining += Math.max(0, progress.totalBytes - (progress.bytesDownloaded || 0));
+        }
+
+        const sized = this.completed.filter(item => item.size);
+        if (sized.length > 0) {
+            const averageSize = sized.reduce((sum, item) => sum + item.size, 0) / sized.length;
+            remaining += this.queue.length * averageSize;
+        } else if (this.queue.length > 0) {
+            return null;
+        }
+
+        return remaining;
+    }
+
+    calculateETA(totalSpeed = this.getCurrentSpeed()) {
+        const remainingBytes = this.getRemainingBytes();
+        if (totalSpeed > 0 && remainingBytes !== null) {
+            return this.formatDuration((remainingBytes / totalSpeed) * 1000);
+        }
+
+        // No byte counts yet: fall back to average time per finished item
         const elapsed = Date.now() - this.startTime;
         const completed = this.completed.length;
         const total = completed + this.failed.length + this.processing.size + this.queue.length;
@@ -198,6 +941,14 @@ export default class DownloadQueue extends EventEmitter {
         return this.formatDuration(eta);
     }
 
+    getCurrentSpeed() {
+        let speed = 0;
+        for (const [itemId, progress] of this.progressData) {
+            if (this.processing.has(itemId)) speed += progress.speed || 0;
+        }
+        return speed;
+    }
+
     formatDuration(ms) {
         const seconds = Math.floor(ms / 1000);
         const minutes = Math.floor(seconds / 60);
@@ -217,10 +968,17 @@ export default class DownloadQueue extends EventEmitter {
             processing: this.processing.size,
             completed: this.completed.length,
             failed: this.failed.length,
+            paused: this.paused.length,
+            cancelled: this.cancelled.length,
             totalProxies: this.proxyRotator.proxies.length,
-            failedProxies: this.proxyRotator.failedProxies.size,
+            coolingProxies: this.proxyRotator.coolingDown().length,
             overallProgress: this.getOverallProgress(),
             eta: this.calculateETA(),
+            speed: this.getCurrentSpeed(),
+            downloadedBytes: this.downloadedBytes,
+            concurrency: this.maxConcurrent,
+            concurrencyMode: this.adaptiveConcurrency ? 'auto' : 'fixed',
+            bandwidth: this.bandwidth.describe(Math.max(1, this.bandwidthSlots())),
             uptime: this.formatDuration(Date.now() - this.startTime),
             formats: formatStats
         };
@@ -228,7 +986,7 @@ export default class DownloadQueue extends EventEmitter {
 
     getFormatBreakdown() {
         const init = () => ({ completed: 0, failed: 0, processing: 0, queue: 0 });
-        const stats = { mp3: init(), mp4: init() };
+        const stats = Object.fromEntries(SUPPORTED_FORMATS.map(format => [format, init()]));
 
         const bump = (fmt, key) => {
             if (!fmt) return;
@@ -245,12 +1003,22 @@ export default class DownloadQueue extends EventEmitter {
     }
 
 
-    // Persistence Methods (same as before)
+    // Persistence Methods
     saveQueueState() {
+        if (!this.persist) return;
+
+        // In-flight downloads are saved as queued so a crash doesn't lose
+        // them; they resume from their .part files on the next start
+        const inFlight = Array.from(this.processing.values())
+            .filter(item => item.status === 'processing')
+            .map(item => ({ ...serializeItem(item), status: 'queued' }));
+
         const state = {
-            queue: this.queue,
-            completed: this.completed.map(item => ({ ...item, process: undefined })),
-            failed: this.failed,
+            queue: [...inFlight, ...this.queue.map(serializeItem)],
+            completed: this.completed.map(serializeItem),
+            failed: this.failed.map(serializeItem),
+            paused: this.paused.map(serializeItem),
+            cancelled: this.cancelled.map(serializeItem),
             startTime: this.startTime,
             defaultFormat: this.defaultFormat,
             defaultQuality: this.defaultQuality,
@@ -258,23 +1026,25 @@ export default class DownloadQueue extends EventEmitter {
         };
 
         try {
-            fs.writeFileSync(this.queueFile, JSON.stringify(state, null, 2));
+            this.stateStore.save(state);
         } catch (error) {
             console.error('⚠️ Failed to save queue state:', error.message);
         }
+        this.proxyRotator.saveStats();
     }
 
     loadQueueState() {
         try {
-            if (fs.existsSync(this.queueFile)) {
-                const state = JSON.parse(fs.readFileSync(this.queueFile, 'utf8'));
-
+            const state = this.stateStore.load();
+            if (state) {
                 this.queue = state.queue?.filter(item =>
                     item.status !== 'completed' && item.status !== 'failed'
                 ) || [];
 
                 this.completed = state.completed || [];
                 this.failed = state.failed || [];
+                this.paused = state.paused || [];
+                this.cancelled = state.cancelled || [];
                 this.startTime = state.startTime || Date.now();
 
                 // Restore format preferences if available
@@ -284,29 +1054,35 @@ export default class DownloadQueue extends EventEmitter {
                 if (this.queue.length > 0) {
                     console.log(`📂 Restored ${this.queue.length} items from previous session`);
                     const formatBreakdown = this.getFormatBreakdown();
-                    console.log(`📊 Formats: MP3(${formatBreakdown.mp3.queue}), MP4(${formatBreakdown.mp4.queue})`);
+                    const queuedFormats = Object.entries(formatBreakdown)
+                        .filter(([, stats]) => stats.queue > 0)
+                        .map(([format, stats]) => `${FORMATS[format]?.label || format.toUpperCase()}(${stats.queue})`);
+                    console.log(`📊 Formats: ${queuedFormats.join(', ')}`);
                     console.log(`✅ Previous session: ${this.completed.length} completed, ${this.failed.length} failed`);
+                    if (this.paused.length > 0) console.log(`⏸️ ${this.paused.length} paused item(s), resume with: tuneit queue resume <id>`);
 
                     this.queue.forEach(item => {
                         item.status = 'queued';
-                        item.attempts = item.attempts || 0;
-                        // Ensure format exists (backward compatibility)
-                        if (!item.format) item.format = 'mp3';
-                        if (!item.quality) item.quality = 'best';
                     });
 
-                    setTimeout(() => this.processNext(), 2000);
+                    // Stable sort: saved order is kept within each lane
+                    this.queue.sort((a, b) => priorityRank(a) - priorityRank(b));
+
+                    setTimeout(() => this.fillSlots(), 2000);
                 }
             }
         } catch (error) {
+            // Saving now would replace the file with an empty queue
             console.error('⚠️ Failed to load queue state:', error.message);
+            console.error(`⚠️ The queue won't be saved this session; ${this.queueFile} is left as it is`);
+            this.persist = false;
         }
     }
 
     clearQueueState() {
         try {
-            if (fs.existsSync(this.queueFile)) {
-                fs.unlinkSync(this.queueFile);
+            if (this.stateStore.exists()) {
+                this.stateStore.remove();
                 console.log('🗑️ Queue state file cleared');
             }
         } catch (error) {
@@ -318,6 +1094,18 @@ export default class DownloadQueue extends EventEmitter {
         this.proxyRotator.addProxy(proxy);
     }
 
+    async rebuildArchive() {
+        console.log('🗂️ Rebuilding download archive from existing files...');
+        try {
+            const count = await this.archive.rebuild(this.completed);
+            console.log(`✅ Archive rebuilt: ${count} video(s)`);
+            return count;
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return null;
+        }
+    }
+
     clearQueue() {
         this.queue = [];
         console.log('🗑️ Queue cleared');
@@ -325,14 +1113,65 @@ export default class DownloadQueue extends EventEmitter {
         this.saveQueueState();
     }
 
+    // Pauses active downloads and everything still waiting in the queue
     pauseAll() {
-        for (const [id, item] of this.processing) {
-            if (item.process) {
-                item.process.kill();
-                console.log(`⏸️ Paused: ${item.title}`);
-            }
+        for (const item of this.processing.values()) {
+            this.stopActive(item, 'paused');
+        }
+        for (const item of this.queue.splice(0)) {
+            this.markPaused(item);
+        }
+        this.afterControl();
+    }
+
+    resumeAll() {
+        for (const item of [...this.paused]) {
+            this.resume(item.id);
         }
-        this.processing.clear();
+    }
+
+    // Stops active downloads so they go back to the queue, for shutdown
+    suspendAll() {
+        for (const item of this.processing.values()) {
+            this.stopActive(item, 'suspended');
+        }
+        this.autoStart = false;
+    }
+
+    // Every item with its list, newest activity last within each list
+    listItems() {
+        const entry = (item) => ({
+            id: item.id,
+            title: item.title,
+            url: item.url,
+            format: item.format,
+            quality: item.quality,
+            status: item.status,
+            priority: item.priority || DEFAULT_PRIORITY,
+            attempts: item.attempts,
+            error: item.error || null,
+            errorCategory: item.errorCategory || null,
+            retryAt: item.retryAt ? new Date(item.retryAt).toISOString() : null,
+            progress: this.progressData.get(item.id) || null
+        });
+
+        return [
+            ...Array.from(this.processing.values()).map(entry),
+            ...this.queue.map(entry),
+            ...this.paused.map(entry),
+            ...this.failed.map(entry),
+            ...this.cancelled.map(entry),
+            ...this.completed.map(entry)
+        ];
+    }
+
+    // Stops the auto-save timer so short-lived commands can exit
+    close() {
+        clearInterval(this.saveTimer);
+        clearTimeout(this.retryTimer);
+        clearInterval(this.bandwidthTimer);
+        clearTimeout(this.rebalanceTimer);
+        this.proxyRotator.close();
         this.saveQueueState();
     }
 
@@ -342,7 +1181,7 @@ export default class DownloadQueue extends EventEmitter {
             title: item.title,
             format: item.format,
             quality: item.quality,
-            progress: this.progressData.get(item.id) || { percent: 0, speed: '0 KB/s' },
+            progress: this.progressData.get(item.id) || { percent: 0, speed: 0, eta: null },
             attempts: item.attempts,
             startedAt: item.startedAt
         }));
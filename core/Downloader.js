@@ -1,36 +1,134 @@
-import { getYtDlpArgs, getFileExtension } from "./Config.js";
+import { getYtDlpArgs, getFileExtension, getFormat, ID3_TAGGING, DEFAULT_FILENAME_TEMPLATE } from "./Config.js";
+import { buildTags, readInfoJson, tagMp3 } from './Tagger.js';
+import { resolveOutputPath, templateFields } from './FilenameTemplate.js';
+import { clipLabel, downloadSectionArgs, formatTimestamp } from './Clip.js';
+import { normalizeChapters, splitByChapters } from './ChapterSplitter.js';
+import { findSubtitleFiles, writeTranscript } from './Subtitles.js';
+import { getProgressArgs, parseProgressLine } from './YtDlpProgress.js';
+import { DownloadError, ERROR_CATEGORIES, ytDlpError } from './DownloadErrors.js';
+import { formatRate } from './Bandwidth.js';
+import { maskProxy } from './ProxyRotator.js';
 import isURL from 'validator/lib/isURL.js';
 import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'node:fs';
-import sanitize from 'sanitize-filename';
 import cliProgress from 'cli-progress';
 import chalk from 'chalk';
 import boxen from 'boxen';
 
-async function fetchTitle(url) {
-    return new Promise((resolve) => {
-        const proc = spawn('yt-dlp', ['--print', '%(title)s', url]);
-        let title = '';
-        proc.stdout.on('data', data => title += data.toString());
+// Only what the filename template and display need, not the full info JSON
+const METADATA_FIELDS = ['id', 'title', 'uploader', 'channel', 'upload_date', 'extractor_key'];
+const CHAPTER_METADATA_FIELDS = [...METADATA_FIELDS, 'duration', 'chapters'];
+const TEMPLATE_METADATA_FIELDS = ['id', 'uploader', 'channel', 'upload_date', 'year'];
+
+async function fetchMetadata(url, proxy, fields = METADATA_FIELDS) {
+    return new Promise((resolve, reject) => {
+        const args = ['--no-playlist', '--skip-download', '--print', `%(.{${fields.join(',')}})j`];
+        if (proxy) args.push('--proxy', proxy);
+        args.push(url);
+
+        const proc = spawn('yt-dlp', args);
+        let output = '';
+        proc.stdout.on('data', data => output += data.toString());
         proc.stderr.on('data', err => console.error('[yt-dlp error]', err.toString()));
-        proc.on('close', () => resolve(title.trim()));
+        proc.on('close', () => {
+            try {
+                resolve(JSON.parse(output.trim()));
+            } catch {
+                reject(new Error('Could not parse video metadata'));
+            }
+        });
+        proc.on('error', reject);
+    });
+}
+
+// Resolves the item's output path from its filename template. The result is
+// handed to yt-dlp verbatim, so the predicted path is always the real one.
+function resolveItemPath(item, formatDir, fileExtension) {
+    const metadata = item.metadata || {};
+    const uploadDate = metadata.upload_date || null;
+    let template = item.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+
+    // Clips always carry their range in the name so they never overwrite the
+    // full video or another clip of it
+    if (item.clip && !templateFields(template).includes('clip')) {
+        template = template.replace(/(\.\{ext\})?\s*$/, ' [{clip}]$1');
+    }
+
+    return resolveOutputPath(formatDir, template, {
+        title: item.title,
+        id: item.videoId || metadata.id,
+        uploader: metadata.uploader || metadata.channel,
+        channel: metadata.channel,
+        playlist: item.playlistTitle,
+        index: item.playlistIndex,
+        upload_date: uploadDate,
+        year: uploadDate ? uploadDate.slice(0, 4) : null,
+        format: item.format,
+        quality: item.quality,
+        clip: clipLabel(item.clip),
+        ext: fileExtension.slice(1)
     });
 }
 
-export function downloadWithYtDlp(item, proxy, outputDir, emitProgress, markProxyAsFailed) {
-    return new Promise(async (resolve, reject) => {
-        if (!isURL(item.url)) throw new Error('Invalid URL');
+// Leftovers of an interrupted yt-dlp run for this output: "<base>.*.part",
+// fragment files, and per-stream downloads (".f137.mp4") not merged yet
+function findPartialFiles(basePath) {
+    const dir = path.dirname(basePath);
+    const prefix = `${path.basename(basePath)}.`;
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix))
+        .filter(name => /\.(part|ytdl)$/.test(name) || /\.part-Frag\d+/.test(name) || /^\.f\d+\.\w+$/.test(name.slice(prefix.length - 1)))
+        .map(name => path.join(dir, name));
+}
+
+// Cleanup for cancelled or removed items; completed files are left alone
+export function removePartialFiles(item) {
+    if (!item.filePath) return 0;
+    const basePath = item.filePath.slice(0, -path.extname(item.filePath).length);
+    const files = findPartialFiles(basePath);
+
+    for (const file of files) {
+        try {
+            fs.unlinkSync(file);
+        } catch {
+            // Already gone
+        }
+    }
+    return files.length;
+}
+
+// Rejects with a DownloadError whose category tells the queue how to retry.
+// rateLimit is this download's share of the bandwidth cap, in bytes/s.
+export function downloadWithYtDlp(item, proxy, outputDir, emitProgress, { rateLimit = null } = {}) {
+    // A bad URL, template or option fails the item instead of escaping as
+    // an unhandled rejection and leaving it stuck in processing
+    return new Promise((resolve, reject) => {
+        download(resolve, reject).catch(reject);
+    });
+
+    async function download(resolve, reject) {
+        if (!isURL(item.url)) throw new DownloadError(`Invalid URL: ${item.url}`, ERROR_CATEGORIES.UNAVAILABLE);
 
         console.log('\n📡 Making request to YouTube...');
         console.log('🔄 Fetching video metadata...');
 
-        if (item.title === 'Unknown') {
+        const template = item.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+        const needsMetadata = item.title === 'Unknown' ||
+            templateFields(template).some(field => TEMPLATE_METADATA_FIELDS.includes(field));
+        const needsChapters = item.splitChapters && !item.metadata?.chapters;
+
+        if ((needsMetadata && !item.metadata) || needsChapters) {
             try {
-                item.title = await fetchTitle(item.url);
+                item.metadata = await fetchMetadata(item.url, proxy, item.splitChapters ? CHAPTER_METADATA_FIELDS : METADATA_FIELDS);
+                if (item.title === 'Unknown' && item.metadata.title) item.title = item.metadata.title;
+                if (!item.videoId) item.videoId = item.metadata.id;
+                if (!item.extractor && item.metadata.extractor_key) item.extractor = item.metadata.extractor_key.toLowerCase();
             } catch (error) {
-                console.log('⚠️ Could not fetch title, using URL as title');
-                item.title = item.url.split('/').pop() || 'Unknown';
+                console.log('⚠️ Could not fetch metadata, using URL as title');
+                if (item.title === 'Unknown') item.title = item.url.split('/').pop() || 'Unknown';
             }
         }
 
@@ -38,15 +136,25 @@ export function downloadWithYtDlp(item, proxy, outputDir, emitProgress, markProx
         const format = item.format || 'mp3';
         const quality = item.quality || 'best';
         const fileExtension = getFileExtension(format);
-        const safeTitle = sanitize(item.title).replace(/\s+/g, '_');
-        
-        // Create format-specific subdirectory
-        const formatDir = path.join(outputDir, format);
-        if (!fs.existsSync(formatDir)) {
-            fs.mkdirSync(formatDir, { recursive: true });
+        const formatSpec = getFormat(format);
+        const isVideo = formatSpec.type === 'video';
+        // Subscriptions may send their items to a folder of their own
+        const formatDir = item.outputDir || path.join(outputDir, format);
+
+        const filePath = resolveItemPath(item, formatDir, fileExtension);
+        const basePath = filePath.slice(0, -fileExtension.length);
+        const shouldTag = formatSpec.id3 && ID3_TAGGING.enabled;
+        item.filePath = filePath;
+
+        // Template directories ({uploader}/{playlist}/...) are created on demand
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        // Split downloads leave a playlist instead of the full file
+        if (item.splitChapters && fs.existsSync(`${basePath}.m3u`)) {
+            console.log(`📁 Already split: ${path.basename(basePath)}.m3u (${format.toUpperCase()})`);
+            resolve();
+            return;
         }
-        
-        const filePath = path.join(formatDir, `${safeTitle}${fileExtension}`);
 
         // Check if file already exists
         if (fs.existsSync(filePath)) {
@@ -56,100 +164,88 @@ export function downloadWithYtDlp(item, proxy, outputDir, emitProgress, markProx
         }
 
         // Get format and quality specific arguments
-        const args = getYtDlpArgs(format, quality);
-        args.push('--output', path.join(formatDir, '%(title)s.%(ext)s'));
+        const args = getYtDlpArgs(format, quality, { subtitles: item.subtitles });
+        args.push(...downloadSectionArgs(item.clip));
+        // Output name must match filePath so the existence check, tagging and
+        // stats all look at the file yt-dlp actually writes
+        args.push('--output', `${basePath.replace(/%/g, '%%')}.%(ext)s`);
+        if (shouldTag) {
+            args.push('--write-info-json');
+            if (ID3_TAGGING.fields.cover) args.push('--write-thumbnail', '--convert-thumbnails', 'jpg');
+        }
         args.push(item.url);
 
         if (proxy) {
             args.push('--proxy', proxy);
-            console.log(`🌐 Using proxy: ${proxy}`);
+            console.log(`🌐 Using proxy: ${maskProxy(proxy)}`);
         } else {
             console.log('🌐 No proxy - using direct connection');
         }
 
+        if (rateLimit) {
+            args.push('--limit-rate', String(rateLimit));
+            console.log(`🚦 Limited to ${formatRate(rateLimit)}`);
+        }
+
         // Enhanced console output with format info
         console.log(`🎬 Title: ${item.title}`);
         console.log(`📺 Format: ${format.toUpperCase()} (${quality})`);
-        console.log(`📁 Output: ./${format}/${safeTitle}${fileExtension}`);
+        if (item.clip) {
+            const clipEnd = item.clip.end !== null ? formatTimestamp(item.clip.end) : 'end';
+            console.log(`✂️ Clip: ${formatTimestamp(item.clip.start)} → ${clipEnd}`);
+        }
+        console.log(`📁 Output: ./${path.relative(item.outputDir ? '.' : outputDir, filePath)}`);
         console.log(''); // Just a clean line break, no flashy messages
 
+        // Paused or cancelled while the metadata was being fetched
+        if (item.stopReason) {
+            reject(new Error(`Download ${item.stopReason}`));
+            return;
+        }
+
+        // yt-dlp continues from its .part file by default, so a paused item
+        // picks up where it stopped
+        if (findPartialFiles(basePath).length > 0) {
+            console.log('↩️ Resuming partial download');
+        }
+
         // NO individual progress bar - let the dashboard handle it
+        args.push(...getProgressArgs());
         const process = spawn('yt-dlp', args);
-        let lastPercent = -1;
-        let hasError = false;
-        let extracted = false;
         let errorOutput = '';
-        let currentProxy = proxy;
-        let downloadPhase = format === 'mp4' ? 'downloading' : 'downloading';
+        let stdoutBuffer = '';
+        let lastEmit = 0;
+
+        const report = (progress) => {
+            if (!emitProgress) return;
+            emitProgress({
+                itemId: item.id,
+                title: item.title,
+                format: format,
+                quality: quality,
+                ...progress
+            });
+        };
 
         process.stdout.on('data', (data) => {
-            const output = data.toString();
-            
-            // Match different progress patterns for MP4 vs MP3
-            let progressMatch;
-            
-            if (format === 'mp4') {
-                // For MP4, we might get video + audio download progress
-                progressMatch = output.match(/\[download\]\s+(\d+\.?\d*)%.*?at\s+(\S+).*?ETA\s+(\S+)/) ||
-                               output.match(/\[ffmpeg\].*?(\d+\.?\d*)%/);
-            } else {
-                // For MP3, standard download + extraction
-                progressMatch = output.match(/\[download\]\s+(\d+\.?\d*)%.*?at\s+(\S+).*?ETA\s+(\S+)/);
-            }
-            
-            // File size info
-            const sizeMatch = output.match(/\[download\]\s+(\d+\.?\d*)%\s+of\s+(\S+)/);
-
-            if (progressMatch) {
-                const percent = parseFloat(progressMatch[1]);
-                const speed = progressMatch[2] || 'Unknown';
-                const estimate = progressMatch[3] || 'Calculating...';
-
-                if (percent !== lastPercent) {
-                    // Update phase for different stages
-                    let phaseInfo = '';
-                    if (format === 'mp4') {
-                        if (output.includes('[ffmpeg]')) {
-                            phaseInfo = 'Processing';
-                        } else if (output.includes('video')) {
-                            phaseInfo = 'Video';
-                        } else if (output.includes('audio')) {
-                            phaseInfo = 'Audio';
-                        }
-                    } else {
-                        if (extracted) {
-                            phaseInfo = 'Converting';
-                        }
-                    }
+            stdoutBuffer += data.toString();
+            const lines = stdoutBuffer.split('\n');
+            stdoutBuffer = lines.pop();
 
-                    // Only emit progress for dashboard - no console progress bar
-                    if (emitProgress) {
-                        emitProgress({
-                            itemId: item.id,
-                            percent: percent,
-                            speed: speed,
-                            estimate: estimate,
-                            title: item.title,
-                            format: format,
-                            quality: quality,
-                            size: sizeMatch ? sizeMatch[2] : 'Unknown',
-                            phase: phaseInfo || downloadPhase
-                        });
-                    }
-                    
-                    lastPercent = percent;
-                }
-            }
+            for (const line of lines) {
+                const progress = parseProgressLine(line);
+                if (!progress) continue;
 
-            // Check for extraction/processing phase
-            if (format === 'mp3' && !extracted && (output.includes('[ExtractAudio]') || output.includes('has already been downloaded'))) {
-                extracted = true;
-                downloadPhase = 'converting';
-            }
+                // Stage changes always go through; byte updates are throttled
+                const now = Date.now();
+                if (progress.status === 'downloading' && now - lastEmit < 250) continue;
+                lastEmit = now;
 
-            // Check for MP4 processing
-            if (format === 'mp4' && output.includes('[ffmpeg]')) {
-                downloadPhase = 'processing';
+                if (progress.postprocessor) {
+                    report({ stage: progress.stage, percent: 100, speed: 0, eta: null });
+                } else {
+                    report(progress);
+                }
             }
         });
 
@@ -157,35 +253,8 @@ export function downloadWithYtDlp(item, proxy, outputDir, emitProgress, markProx
             const error = data.toString();
             errorOutput += error;
 
-            // Same error handling as before
-            if (error.includes('HTTP Error 429') || error.includes('Too Many Requests')) {
-                console.log('\n🚫 Rate limited - rotating proxy...');
-                hasError = true;
-                if (currentProxy && markProxyAsFailed) {
-                    markProxyAsFailed(currentProxy);
-                }
-            } else if (error.includes('HTTP Error 403') || error.includes('Forbidden')) {
-                console.log('\n🚫 Access forbidden - rotating proxy...');
-                hasError = true;
-                if (currentProxy && markProxyAsFailed) {
-                    markProxyAsFailed(currentProxy);
-                }
-            } else if (error.includes('blocked')) {
-                console.log('\n🚫 IP blocked - rotating proxy...');
-                hasError = true;
-                if (currentProxy && markProxyAsFailed) {
-                    markProxyAsFailed(currentProxy);
-                }
-            } else if (error.includes('Private video') || error.includes('Video unavailable')) {
-                hasError = true;
-                errorOutput = 'Video is private or unavailable';
-            } else if (error.includes('Sign in to confirm your age')) {
-                hasError = true;
-                errorOutput = 'Age-restricted content - requires authentication';
-            }
-
-            // Log warnings for MP4 format issues
-            if (format === 'mp4' && error.includes('Requested format is not available')) {
+            // Log warnings for video format issues
+            if (isVideo && error.includes('Requested format is not available')) {
                 console.log(`⚠️ ${quality} quality not available, falling back to best available`);
             }
 
@@ -194,17 +263,41 @@ export function downloadWithYtDlp(item, proxy, outputDir, emitProgress, markProx
             }
         });
 
-        process.on('close', (code) => {
+        process.on('close', async (code) => {
             console.log(); // Clean spacing
 
-            if (code === 0 && !hasError) {
+            // Killed on purpose by pause/cancel/remove, not a failure. The
+            // stop can also come in during post-processing, so this is
+            // checked again after each stage.
+            const stopped = () => {
+                if (item.stopReason) reject(new Error(`Download ${item.stopReason}`));
+                return Boolean(item.stopReason);
+            };
+            if (stopped()) return;
+
+            if (code === 0) {
+                if (shouldTag) {
+                    await tagDownloadedFile(item, filePath, basePath, emitProgress);
+                    if (stopped()) return;
+                }
+
+                if (item.subtitles) {
+                    collectSubtitles(item, basePath, isVideo);
+                }
+
                 try {
                     // Verify file exists and get stats
                     const stats = fs.statSync(filePath);
                     const fileSizeMB = (stats.size / 1024 / 1024).toFixed(1);
+                    item.size = stats.size;
+
+                    if (item.splitChapters) {
+                        await splitDownloadedFile(item, filePath, basePath, emitProgress);
+                        if (stopped()) return;
+                    }
                     
                     // Simple, clean completion message
-                    const formatIcon = format === 'mp4' ? '🎥' : '🎵';
+                    const formatIcon = isVideo ? '🎥' : '🎵';
                     console.log(`${formatIcon} ${chalk.green('✓')} ${item.title} ${chalk.dim(`(${fileSizeMB} MB)`)}`);
 
                     // Final progress update
@@ -212,13 +305,15 @@ export function downloadWithYtDlp(item, proxy, outputDir, emitProgress, markProx
                         emitProgress({
                             itemId: item.id,
                             percent: 100,
-                            speed: 'Complete',
-                            estimate: 'Done',
+                            stage: 'complete',
+                            bytesDownloaded: stats.size,
+                            totalBytes: stats.size,
+                            speed: 0,
+                            eta: 0,
                             title: item.title,
                             format: format,
                             quality: quality,
-                            fileSize: fileSizeMB + ' MB',
-                            filePath: filePath
+                            filePath: item.filePath
                         });
                     }
 
@@ -229,40 +324,122 @@ export function downloadWithYtDlp(item, proxy, outputDir, emitProgress, markProx
                     resolve();
                 }
             } else {
-                // Simple error message - no flashy boxes
-                let errorMessage = `yt-dlp failed with code ${code}`;
-                
-                if (hasError) {
-                    if (errorOutput.includes('Private video')) {
-                        errorMessage = 'Video is private or unavailable';
-                    } else if (errorOutput.includes('HTTP Error 429')) {
-                        errorMessage = 'Rate limited - try again later or use different proxy';
-                    } else if (errorOutput.includes('HTTP Error 403')) {
-                        errorMessage = 'Access forbidden - proxy or region issue';
-                    } else if (errorOutput.includes('blocked')) {
-                        errorMessage = 'IP/Proxy blocked by YouTube';
-                    } else if (errorOutput.includes('Sign in to confirm')) {
-                        errorMessage = 'Age-restricted content requires authentication';
-                    } else if (format === 'mp4' && errorOutput.includes('No video formats')) {
-                        errorMessage = `No ${quality} MP4 format available for this video`;
-                    } else if (format === 'mp3' && errorOutput.includes('No suitable formats')) {
-                        errorMessage = 'No audio stream available for extraction';
-                    } else {
-                        errorMessage = errorOutput.trim() || `Unknown ${format.toUpperCase()} download error`;
-                    }
-                }
-
-                console.log(`❌ ${item.title} - ${errorMessage}`);
-                reject(new Error(errorMessage));
+                const error = ytDlpError(errorOutput, code, { format, quality, isVideo, label: formatSpec.label });
+                console.log(`❌ ${item.title} - ${error.message}`);
+                reject(error);
             }
         });
 
         process.on('error', (error) => {
             console.log(`💥 Process error: ${error.message}`);
-            reject(new Error(`Failed to start yt-dlp: ${error.message}`));
+            reject(new DownloadError(`Failed to start yt-dlp: ${error.message}`));
         });
 
-        // Store process reference for potential cancellation
+        // Store process reference for pause/cancel
         item.process = process;
-    });
-}
\ No newline at end of file
+    }
+}
+
+// Tagging stage for MP3 output: reads the info JSON and thumbnail yt-dlp wrote
+// next to the file, embeds them, then removes the sidecars. A tagging failure
+// leaves the untagged MP3 in place rather than failing the download.
+async function tagDownloadedFile(item, filePath, basePath, emitProgress) {
+    const infoPath = `${basePath}.info.json`;
+    const coverPath = ID3_TAGGING.fields.cover ? `${basePath}.jpg` : null;
+
+    if (emitProgress) {
+        emitProgress({
+            itemId: item.id,
+            percent: 100,
+            stage: 'tagging',
+            speed: 0,
+            eta: null,
+            title: item.title,
+            format: item.format,
+            quality: item.quality
+        });
+    }
+
+    try {
+        const tags = buildTags(readInfoJson(infoPath), item);
+        await tagMp3(filePath, tags, coverPath);
+    } catch (error) {
+        console.log(`⚠️ Could not write ID3 tags: ${error.message}`);
+    } finally {
+        fs.rmSync(infoPath, { force: true });
+        if (coverPath) fs.rmSync(coverPath, { force: true });
+    }
+}
+
+// Tracks the subtitle files of a download on the item. Sidecars are only kept
+// in 'srt'/'vtt' mode; embedded or transcript-only captions are removed once
+// the transcript has been written.
+function collectSubtitles(item, basePath, isVideo) {
+    const { mode = null, transcript = false } = item.subtitles;
+    const keepSidecars = isVideo && (mode === 'srt' || mode === 'vtt');
+    const files = findSubtitleFiles(basePath);
+
+    if (files.length === 0) {
+        console.log('⚠️ No subtitles found in the requested languages');
+        item.subtitleFiles = [];
+        return;
+    }
+
+    const kept = [];
+    for (const file of files) {
+        if (transcript) {
+            try {
+                kept.push(writeTranscript(file));
+            } catch (error) {
+                console.log(`⚠️ Could not write ${file.language} transcript: ${error.message}`);
+            }
+        }
+
+        if (keepSidecars) kept.push(file);
+        else fs.rmSync(file.path, { force: true });
+    }
+
+    item.subtitleFiles = kept;
+    console.log(`💬 Subtitles: ${files.map(file => file.language).join(', ')}${transcript ? ' (+ transcript)' : ''}`);
+}
+
+// Chapter mode: one file per chapter plus an M3U, replacing the full download.
+// Videos without chapters (or clips) keep the single file.
+async function splitDownloadedFile(item, filePath, basePath, emitProgress) {
+    const chapters = normalizeChapters(item.metadata?.chapters, item.metadata?.duration);
+
+    if (item.clip || chapters.length < 2) {
+        console.log(`⚠️ ${item.clip ? 'Clips are not split' : 'No chapters found'} - keeping a single file`);
+        return;
+    }
+
+    console.log(`✂️ Splitting into ${chapters.length} chapters...`);
+    let tracks;
+    try {
+        tracks = await splitByChapters(filePath, chapters, {
+            album: item.title,
+            onProgress: (done, total, chapter) => {
+                if (!emitProgress) return;
+                emitProgress({
+                    itemId: item.id,
+                    percent: (done / total) * 100,
+                    stage: 'splitting',
+                    speed: 0,
+                    eta: null,
+                    title: item.title,
+                    format: item.format,
+                    quality: item.quality,
+                    chapter: chapter.title
+                });
+            }
+        });
+    } catch (error) {
+        console.log(`⚠️ Could not split chapters: ${error.message} - keeping a single file`);
+        return;
+    }
+
+    fs.rmSync(filePath, { force: true });
+    item.outputFiles = tracks.map(track => track.path);
+    item.filePath = `${basePath}.m3u`;
+    console.log(`🎼 ${tracks.length} tracks + playlist: ${path.basename(item.filePath)}`);
+}
@@ -0,0 +1,84 @@
+import { serializeItem } from './DownloadQueue.js';
+
+// Version of the message format: { v, type, data, ts }. Bump it when a
+// message's shape changes in a way existing consumers would trip over.
+export const EVENT_STREAM_VERSION = 1;
+
+// Queue events published to subscribers, and how to turn their arguments
+// into JSON-safe data. Item events carry the item id for filtering.
+const ITEM_EVENTS = {
+    progress: (progress) => progress,
+    downloadStarted: (item) => ({ itemId: item.id, item: serializeItem(item) }),
+    downloadCompleted: (item) => ({ itemId: item.id, item: serializeItem(item) }),
+    downloadFailed: (item, error) => ({ itemId: item.id, item: serializeItem(item), error: error?.message || null, errorCategory: error?.category || null }),
+    itemPaused: (item) => ({ itemId: item.id, item: serializeItem(item) }),
+    itemResumed: (item) => ({ itemId: item.id, item: serializeItem(item) }),
+    itemCancelled: (item) => ({ itemId: item.id, item: serializeItem(item) }),
+    itemRetried: (item) => ({ itemId: item.id, item: serializeItem(item) }),
+    itemRemoved: (item) => ({ itemId: item.id, item: serializeItem(item) }),
+    itemMoved: ({ item, position }) => ({ itemId: item.id, item: serializeItem(item), position }),
+    itemPriorityChanged: (item) => ({ itemId: item.id, item: serializeItem(item) })
+};
+
+const QUEUE_EVENTS = {
+    aggregateProgress: (aggregate) => aggregate,
+    queueUpdated: (status) => status,
+    itemSkipped: ({ url, title, reason }) => ({ url, title, reason }),
+    playlistExpanded: (playlist) => playlist
+};
+
+// Fans DownloadQueue events out to any number of subscribers and remembers
+// the latest state so new subscribers start from a snapshot, not from nothing.
+export default class EventStream {
+    constructor(queue) {
+        this.queue = queue;
+        this.subscribers = new Set();
+        this.latestAggregate = null;
+
+        for (const [type, toData] of Object.entries({ ...ITEM_EVENTS, ...QUEUE_EVENTS })) {
+            queue.on(type, (...args) => this.publish(type, toData(...args)));
+        }
+    }
+
+    message(type, data) {
+        return { v: EVENT_STREAM_VERSION, type, data, ts: new Date().toISOString() };
+    }
+
+    publish(type, data) {
+        if (type === 'aggregateProgress') this.latestAggregate = data;
+
+        const message = this.message(type, data);
+        for (const subscriber of this.subscribers) {
+            if (subscriber.itemId && data?.itemId !== subscriber.itemId) continue;
+            subscriber.send(message);
+        }
+    }
+
+    // Current state of the whole queue, or of one item
+    snapshot(itemId = null) {
+        if (itemId) {
+            const found = this.queue.findItem(itemId);
+            return this.message('snapshot', {
+                itemId,
+                item: found ? serializeItem(found.item) : null,
+                progress: this.queue.progressData.get(itemId) || null
+            });
+        }
+
+        return this.message('snapshot', {
+            status: this.queue.getStatus(),
+            aggregate: this.latestAggregate,
+            items: this.queue.listItems().filter(item => item.status !== 'completed')
+        });
+    }
+
+    // send(message) is called for every matching event, starting with a
+    // snapshot. With itemId, only that item's events are delivered.
+    // Returns an unsubscribe function.
+    subscribe(send, { itemId = null } = {}) {
+        const subscriber = { send, itemId };
+        send(this.snapshot(itemId));
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+}
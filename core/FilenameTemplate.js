@@ -0,0 +1,67 @@
+import sanitize from 'sanitize-filename';
+import path from 'node:path';
+import { DEFAULT_FILENAME_TEMPLATE } from './Config.js';
+
+const PLACEHOLDER = /\{(\w+)(?::(0?)(\d+))?\}/g;
+
+// Single sanitizer for every file and directory name TuneIt writes, so
+// YouTube and Google Drive outputs follow the same rules.
+export function sanitizeSegment(value) {
+    return sanitize(String(value))
+        .replace(/\s+/g, '_')
+        .replace(/^[_\-.]+|[_\-]+$/g, '');
+}
+
+export function sanitizeRelativePath(relativePath) {
+    return relativePath
+        .split(/[\\/]/)
+        .map(sanitizeSegment)
+        .filter(Boolean)
+        .join(path.sep);
+}
+
+export function templateFields(template) {
+    return [...template.matchAll(PLACEHOLDER)].map(match => match[1]);
+}
+
+// Render a template such as "{uploader}/{playlist}/{index:02} - {title}.{ext}"
+// into path segments. Missing fields render empty and empty directories are
+// dropped, so the same template works for single videos and playlists.
+export function renderTemplate(template = DEFAULT_FILENAME_TEMPLATE, fields = {}) {
+    let normalized = /\.\{ext\}\s*$/.test(template) ? template : `${template}.{ext}`;
+    if (!fields.ext) normalized = normalized.replace(/\.\{ext\}\s*$/, '');
+
+    const segments = normalized.split(/[\\/]/);
+    const lastIndex = segments.length - 1;
+
+    return segments
+        .map((segment, index) => {
+            const rendered = segment.replace(PLACEHOLDER, (_, name, zero, width) => {
+                const value = fields[name];
+                if (value === undefined || value === null || value === '') return '';
+
+                const text = String(value).replace(/[\\/]/g, '_');
+                return width ? text.padStart(Number(width), zero ? '0' : ' ') : text;
+            });
+
+            if (index < lastIndex) return sanitizeSegment(rendered);
+
+            // Keep the extension out of the trimming so "title - .mp3" style
+            // leftovers are cleaned without touching ".mp3"
+            const ext = fields.ext ? `.${fields.ext}` : '';
+            const base = ext && rendered.endsWith(ext) ? rendered.slice(0, -ext.length) : rendered;
+            return `${sanitizeSegment(base) || 'Unknown'}${ext}`;
+        })
+        .filter(Boolean);
+}
+
+export function resolveOutputPath(baseDir, template, fields) {
+    return path.join(baseDir, ...renderTemplate(template, fields));
+}
+
+// Drive files keep their own extension; only the name is sanitized
+export function sanitizeFileName(fileName) {
+    const ext = path.extname(fileName).slice(1);
+    const title = ext ? fileName.slice(0, -(ext.length + 1)) : fileName;
+    return renderTemplate('{title}.{ext}', { title, ext }).join(path.sep);
+}
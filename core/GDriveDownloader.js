@@ -3,6 +3,9 @@ import fs from 'node:fs';
 import path from 'node:path';
 import https from 'node:https';
 import { URL } from 'node:url';
+import { sanitizeFileName, sanitizeRelativePath } from './FilenameTemplate.js';
+import { DownloadError, ERROR_CATEGORIES } from './DownloadErrors.js';
+import { createThrottle } from './Bandwidth.js';
 
 export class GoogleDriveDownloader {
   constructor() {
@@ -122,7 +125,9 @@ export class GoogleDriveDownloader {
     }
   }
 
-  async downloadFile(fileId, outputPath, progressCallback = null) {
+  // throttle(bytes) returns how long to pause the stream (core/Bandwidth.js);
+  // aborting `signal` destroys the request and removes the partial file
+  async downloadFile(fileId, outputPath, progressCallback = null, throttle = null, signal = null) {
     return new Promise(async (resolve, reject) => {
       try {
         // Get download URL
@@ -148,14 +153,15 @@ export class GoogleDriveDownloader {
           method: 'GET',
           headers: this.accessToken ? {
             'Authorization': `Bearer ${this.accessToken}`
-          } : {}
+          } : {},
+          signal
         };
 
         const req = https.request(options, (res) => {
           if (res.statusCode === 302 || res.statusCode === 301) {
             // Handle redirect
             const redirectUrl = res.headers.location;
-            this.downloadFromUrl(redirectUrl, outputPath, progressCallback)
+            this.downloadFromUrl(redirectUrl, outputPath, progressCallback, throttle, signal)
               .then(resolve)
               .catch(reject);
             return;
@@ -173,6 +179,7 @@ export class GoogleDriveDownloader {
           res.on('data', (chunk) => {
             downloadedSize += chunk.length;
             file.write(chunk);
+            this.pauseForThrottle(res, throttle, chunk.length);
 
             // Throttle progress updates
             const now = Date.now();
@@ -192,7 +199,6 @@ export class GoogleDriveDownloader {
           });
 
           res.on('end', () => {
-            file.end();
             if (progressCallback) {
               progressCallback({
                 percent: 100,
@@ -201,7 +207,8 @@ export class GoogleDriveDownloader {
                 speed: 'Complete'
               });
             }
-            resolve(outputPath);
+            // Settled once the data is on disk, so callers can stat the file
+            file.end((error) => error ? reject(error) : resolve(outputPath));
           });
 
           res.on('error', (error) => {
@@ -226,7 +233,7 @@ export class GoogleDriveDownloader {
     });
   }
 
-  async downloadFromUrl(url, outputPath, progressCallback = null) {
+  async downloadFromUrl(url, outputPath, progressCallback = null, throttle = null, signal = null) {
     return new Promise((resolve, reject) => {
       const file = fs.createWriteStream(outputPath);
       const urlObj = new URL(url);
@@ -235,7 +242,8 @@ export class GoogleDriveDownloader {
         hostname: urlObj.hostname,
         port: urlObj.port || 443,
         path: urlObj.pathname + urlObj.search,
-        method: 'GET'
+        method: 'GET',
+        signal
       };
 
       const req = https.request(options, (res) => {
@@ -252,6 +260,7 @@ export class GoogleDriveDownloader {
         res.on('data', (chunk) => {
           downloadedSize += chunk.length;
           file.write(chunk);
+          this.pauseForThrottle(res, throttle, chunk.length);
 
           const now = Date.now();
           if (progressCallback && now - lastUpdate > 200) {
@@ -270,7 +279,6 @@ export class GoogleDriveDownloader {
         });
 
         res.on('end', () => {
-          file.end();
           if (progressCallback) {
             progressCallback({
               percent: 100,
@@ -279,7 +287,7 @@ export class GoogleDriveDownloader {
               speed: 'Complete'
             });
           }
-          resolve(outputPath);
+          file.end((error) => error ? reject(error) : resolve(outputPath));
         });
 
         res.on('error', (error) => {
@@ -354,6 +362,14 @@ export class GoogleDriveDownloader {
     });
   }
 
+  pauseForThrottle(res, throttle, bytes) {
+    const wait = throttle ? throttle(bytes) : 0;
+    if (wait > 0) {
+      res.pause();
+      setTimeout(() => res.resume(), wait);
+    }
+  }
+
   formatFileSize(bytes) {
     if (bytes === 0) return '0 B';
     
@@ -521,7 +537,8 @@ export class GoogleDriveDownloader {
       recursive = true,
       progressCallback = null,
       includeSubfolders = true,
-      fileFilter = null // function to filter files
+      fileFilter = null, // function to filter files
+      throttle = null // from createThrottle(), shared by all the files
     } = options;
 
     try {
@@ -550,7 +567,7 @@ export class GoogleDriveDownloader {
       console.log(`📊 Found ${files.length} file(s) to download`);
       
       // Create base folder structure
-      const folderOutputPath = path.join(outputPath, folderInfo.name);
+      const folderOutputPath = path.join(outputPath, sanitizeRelativePath(folderInfo.name) || folderId);
       if (!fs.existsSync(folderOutputPath)) {
         fs.mkdirSync(folderOutputPath, { recursive: true });
       }
@@ -561,15 +578,15 @@ export class GoogleDriveDownloader {
       // Download files sequentially to avoid overwhelming the API
       for (const file of files) {
         try {
-          const fileDir = path.dirname(file.path);
-          const fullDir = fileDir === '.' ? folderOutputPath : path.join(folderOutputPath, fileDir);
+          const fileDir = sanitizeRelativePath(path.dirname(file.path));
+          const fullDir = fileDir ? path.join(folderOutputPath, fileDir) : folderOutputPath;
           
           // Create subdirectory if needed
           if (!fs.existsSync(fullDir)) {
             fs.mkdirSync(fullDir, { recursive: true });
           }
           
-          const filePath = path.join(fullDir, file.name);
+          const filePath = path.join(fullDir, sanitizeFileName(file.name));
           
           console.log(`\n📥 [${completed + 1}/${files.length}] ${file.path}`);
           
@@ -584,7 +601,7 @@ export class GoogleDriveDownloader {
                 overallPercent: ((completed / files.length) * 100 + (parseFloat(progress.percent) / files.length)).toFixed(1)
               });
             }
-          });
+          }, throttle);
           
           completed++;
           results.push({
@@ -697,4 +714,52 @@ export class GoogleDriveDownloader {
   }
 }
 
+export function isDriveUrl(url) {
+  return /^https?:\/\/(drive|docs)\.google\.com\//.test(url);
+}
+
+// Single Drive file as a DownloadQueue item: saved to <outputDir>/gdrive/,
+// with progress reported in the same shape as yt-dlp downloads.
+// rateLimit() is this download's current share of the bandwidth cap.
+export async function downloadDriveItem(item, outputDir, emitProgress, { rateLimit = null, signal = null } = {}) {
+  const drive = new GoogleDriveDownloader();
+  const info = await drive.getFileInfo(item.driveId);
+  if (!info.accessible) {
+    throw new DownloadError(
+      info.error || 'Drive file is private - sign in with tuneit auth or share it publicly',
+      ERROR_CATEGORIES.UNAVAILABLE
+    );
+  }
+
+  item.title = info.name || item.title;
+  // The file id keeps Drive files that share a name from overwriting each other
+  const fileName = sanitizeFileName(item.title);
+  const ext = path.extname(fileName);
+  item.filePath = path.join(outputDir, 'gdrive', `${path.basename(fileName, ext)} [${item.driveId}]${ext}`);
+  const startedAt = Date.now();
+
+  await drive.downloadFile(item.driveId, item.filePath, (progress) => {
+    if (!emitProgress) return;
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const speed = elapsed > 0 ? progress.downloadedSize / elapsed : 0;
+    const remaining = progress.totalSize - progress.downloadedSize;
+
+    emitProgress({
+      itemId: item.id,
+      title: item.title,
+      format: item.format,
+      quality: item.quality,
+      stage: 'download',
+      percent: parseFloat(progress.percent) || 0,
+      bytesDownloaded: progress.downloadedSize,
+      totalBytes: progress.totalSize || null,
+      speed,
+      eta: speed > 0 && progress.totalSize ? remaining / speed : null
+    });
+  }, rateLimit ? createThrottle(rateLimit) : null, signal);
+
+  item.size = fs.statSync(item.filePath).size;
+  console.log(`☁️ ✓ ${item.title} (${drive.formatFileSize(item.size)})`);
+}
+
 export default GoogleDriveDownloader;
\ No newline at end of file
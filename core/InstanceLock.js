@@ -0,0 +1,80 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// One running queue per output directory. The lock file records the owner's
+// pid and control socket; a lock whose pid is gone is stale and taken over.
+export default class InstanceLock {
+    constructor(outputDir) {
+        this.outputDir = outputDir;
+        this.lockFile = path.join(outputDir, '.tuneit.lock');
+        this.socketPath = socketPathFor(outputDir);
+        this.held = false;
+    }
+
+    // Owner info of a live instance, or null if there is none
+    getRunningInstance() {
+        let owner;
+        try {
+            owner = JSON.parse(fs.readFileSync(this.lockFile, 'utf8'));
+        } catch {
+            return null;
+        }
+
+        if (!owner.pid || owner.pid === process.pid || !isProcessAlive(owner.pid)) return null;
+        return owner;
+    }
+
+    // Returns false when another live instance holds the lock
+    acquire() {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        const owner = {
+            pid: process.pid,
+            socketPath: this.socketPath,
+            startedAt: new Date().toISOString()
+        };
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                // 'wx' fails if the file exists, so two starting instances
+                // can't both win
+                fs.writeFileSync(this.lockFile, JSON.stringify(owner, null, 2), { flag: 'wx' });
+                this.held = true;
+                process.once('exit', () => this.release());
+                return true;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                if (this.getRunningInstance()) return false;
+
+                // Stale lock from a crashed run
+                fs.rmSync(this.lockFile, { force: true });
+            }
+        }
+        return false;
+    }
+
+    release() {
+        if (!this.held) return;
+        this.held = false;
+        fs.rmSync(this.lockFile, { force: true });
+    }
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: alive, just owned by another user
+        return error.code === 'EPERM';
+    }
+}
+
+// Unix socket next to the queue, or a named pipe on Windows
+export function socketPathFor(outputDir) {
+    if (process.platform === 'win32') {
+        const hash = crypto.createHash('sha1').update(path.resolve(outputDir)).digest('hex').slice(0, 12);
+        return `\\\\.\\pipe\\tuneit-${hash}`;
+    }
+    return path.join(outputDir, '.tuneit.sock');
+}
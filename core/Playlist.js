@@ -0,0 +1,136 @@
+import { spawn } from 'child_process';
+
+// Channel roots list their tabs (Videos, Shorts, Live) rather than videos,
+// so they get pointed at the uploads tab before expansion.
+const CHANNEL_ROOT_PATTERN = /^\/(?:@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/?$/;
+const CHANNEL_TAB_PATTERN = /^\/(?:@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/(?:videos|shorts|streams|playlists)\/?$/;
+
+function parseUrl(url) {
+    try {
+        return new URL(url);
+    } catch {
+        return null;
+    }
+}
+
+// True for playlist, channel and uploads URLs that should be expanded into
+// individual queue items. Watch URLs with a `list=` parameter still count as
+// single videos, matching yt-dlp's --no-playlist behaviour.
+export function isCollectionUrl(url) {
+    const parsed = parseUrl(url);
+    if (!parsed || !/(^|\.)youtube\.com$/.test(parsed.hostname)) return false;
+
+    if (parsed.pathname === '/playlist' && parsed.searchParams.has('list')) return true;
+    return CHANNEL_ROOT_PATTERN.test(parsed.pathname) || CHANNEL_TAB_PATTERN.test(parsed.pathname);
+}
+
+export function normalizeCollectionUrl(url) {
+    const parsed = parseUrl(url);
+    if (!parsed) return url;
+
+    // Channel IDs map straight onto their uploads playlist (UC... -> UU...)
+    const channelMatch = parsed.pathname.match(/^\/channel\/UC([\w-]+)\/?$/);
+    if (channelMatch) {
+        return `https://www.youtube.com/playlist?list=UU${channelMatch[1]}`;
+    }
+
+    if (CHANNEL_ROOT_PATTERN.test(parsed.pathname)) {
+        parsed.pathname = parsed.pathname.replace(/\/?$/, '/videos');
+    }
+
+    return parsed.toString();
+}
+
+// Accepts yt-dlp's --playlist-items syntax: "5-20", "1,3,7-9", "-5"
+export function isValidItemRange(range) {
+    return /^[\d\s,:-]+$/.test(range) && /\d/.test(range);
+}
+
+// Channel uploads are listed newest first; ordinary playlists in their own
+// order, usually oldest first
+export function listsNewestFirst(url) {
+    const parsed = parseUrl(normalizeCollectionUrl(url));
+    if (!parsed) return false;
+    return parsed.pathname !== '/playlist' || (parsed.searchParams.get('list') || '').startsWith('UU');
+}
+
+// YYYYMMDD, from upload_date or the (approximate) timestamp flat entries may carry
+function uploadDateOf(entry) {
+    if (entry.upload_date) return entry.upload_date;
+    if (!entry.timestamp) return null;
+    return new Date(entry.timestamp * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function toQueueEntry(entry, fallbackIndex) {
+    const url = entry.webpage_url ||
+        (entry.url && entry.url.startsWith('http') ? entry.url : `https://www.youtube.com/watch?v=${entry.id}`);
+
+    return {
+        url,
+        videoId: entry.id,
+        title: entry.title || null,
+        playlistIndex: entry.playlist_index || fallbackIndex,
+        playlistTitle: entry.playlist_title || entry.playlist || null,
+        playlistId: entry.playlist_id || null,
+        uploadDate: uploadDateOf(entry)
+    };
+}
+
+// Expand a playlist/channel URL into one entry per video using yt-dlp's
+// flat-playlist JSON (one object per line, no media requests per video).
+// With `dates`, YouTube tabs report an (approximate) upload date per entry,
+// which flat entries otherwise lack.
+export function expandPlaylist(url, options = {}) {
+    const { items = null, proxy = null, dates = false } = options;
+
+    return new Promise((resolve, reject) => {
+        const args = ['--flat-playlist', '--dump-json', '--ignore-errors'];
+        if (items) args.push('--playlist-items', items);
+        if (dates) args.push('--extractor-args', 'youtubetab:approximate_date');
+        if (proxy) args.push('--proxy', proxy);
+        args.push(normalizeCollectionUrl(url));
+
+        const proc = spawn('yt-dlp', args);
+        let buffer = '';
+        let errorOutput = '';
+        const entries = [];
+
+        const consumeLine = (line) => {
+            if (!line.trim()) return;
+            try {
+                const entry = JSON.parse(line);
+                // Skip nested tabs/playlists and deleted entries
+                if (entry._type === 'playlist' || !entry.id) return;
+                entries.push(toQueueEntry(entry, entries.length + 1));
+            } catch {
+                // Not JSON - yt-dlp occasionally interleaves plain warnings
+            }
+        };
+
+        proc.stdout.on('data', (data) => {
+            buffer += data.toString();
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(consumeLine);
+        });
+
+        proc.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        proc.on('close', (code) => {
+            consumeLine(buffer);
+
+            if (entries.length === 0) {
+                const message = errorOutput.match(/ERROR: (.*)/)?.[1] || `yt-dlp exited with code ${code}`;
+                reject(new Error(`Could not expand playlist: ${message}`));
+                return;
+            }
+            resolve(entries);
+        });
+
+        proc.on('error', (error) => {
+            reject(new Error(`Failed to start yt-dlp: ${error.message}`));
+        });
+    });
+}
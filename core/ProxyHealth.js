@@ -0,0 +1,216 @@
+import net from 'node:net';
+import tls from 'node:tls';
+import dns from 'node:dns/promises';
+import { PROXY_HEALTH } from './Config.js';
+
+const SOCKS5_ERRORS = {
+    1: 'general failure',
+    2: 'connection not allowed',
+    3: 'network unreachable',
+    4: 'host unreachable',
+    5: 'connection refused',
+    6: 'TTL expired',
+    7: 'command not supported',
+    8: 'address type not supported'
+};
+
+// Collects a socket's data during a handshake. read(size) resolves with the
+// next message once size(buffer) returns its length (-1: not complete yet),
+// and rejects if the connection drops first.
+function createReader(socket) {
+    let buffer = Buffer.alloc(0);
+    let pending = null;
+    let failure = null;
+
+    const flush = () => {
+        if (!pending) return;
+        if (failure) {
+            pending.reject(failure);
+            pending = null;
+            return;
+        }
+        const length = pending.size(buffer);
+        if (length === -1 || buffer.length < length) return;
+
+        const message = buffer.subarray(0, length);
+        buffer = buffer.subarray(length);
+        const { resolve } = pending;
+        pending = null;
+        resolve(message);
+    };
+    const onData = (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        flush();
+    };
+    const onEnd = (error) => {
+        failure = error instanceof Error ? error : new Error('Connection closed during the handshake');
+        flush();
+    };
+    socket.on('data', onData);
+    socket.on('error', onEnd);
+    socket.on('close', onEnd);
+
+    return {
+        read: (size) => new Promise((resolve, reject) => {
+            pending = { size: typeof size === 'number' ? () => size : size, resolve, reject };
+            flush();
+        }),
+        // Hands the socket on (e.g. to TLS) once the tunnel is up
+        detach: () => {
+            socket.off('data', onData);
+            socket.off('error', onEnd);
+            socket.off('close', onEnd);
+        }
+    };
+}
+
+// The socket is returned right away, so a timeout can destroy it while it
+// is still connecting; `ready` resolves once it is connected
+function connect(proxyUrl) {
+    const port = Number(proxyUrl.port);
+    const secure = proxyUrl.protocol === 'https:';
+    const socket = secure
+        ? tls.connect({ host: proxyUrl.hostname, port, servername: proxyUrl.hostname })
+        : net.connect({ host: proxyUrl.hostname, port });
+    const ready = new Promise((resolve, reject) => {
+        socket.once(secure ? 'secureConnect' : 'connect', resolve);
+        socket.once('error', reject);
+    });
+    return { socket, ready };
+}
+
+function credentials(proxyUrl) {
+    return {
+        username: decodeURIComponent(proxyUrl.username),
+        password: decodeURIComponent(proxyUrl.password)
+    };
+}
+
+async function httpTunnel(socket, reader, proxyUrl, host, port) {
+    const { username, password } = credentials(proxyUrl);
+    const auth = username
+        ? `Proxy-Authorization: Basic ${Buffer.from(`${username}:${password}`).toString('base64')}\r\n`
+        : '';
+    socket.write(`CONNECT ${host}:${port} HTTP/1.1\r\nHost: ${host}:${port}\r\n${auth}\r\n`);
+
+    const head = (await reader.read(buffer => {
+        const end = buffer.indexOf('\r\n\r\n');
+        return end === -1 ? -1 : end + 4;
+    })).toString();
+    const status = Number(head.match(/^HTTP\/\d(?:\.\d)? (\d{3})/)?.[1]);
+    if (status !== 200) throw new Error(`Proxy refused CONNECT (HTTP ${status || '?'})`);
+}
+
+async function socks5Tunnel(socket, reader, proxyUrl, host, port) {
+    const { username, password } = credentials(proxyUrl);
+    socket.write(Buffer.from(username ? [5, 2, 0, 2] : [5, 1, 0]));
+
+    const [, method] = await reader.read(2);
+    if (method === 2) {
+        const user = Buffer.from(username);
+        const pass = Buffer.from(password);
+        socket.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+        const [, status] = await reader.read(2);
+        if (status !== 0) throw new Error('SOCKS5 authentication failed');
+    } else if (method !== 0) {
+        throw new Error(username ? 'SOCKS5 proxy rejected the credentials' : 'SOCKS5 proxy requires authentication');
+    }
+
+    const name = Buffer.from(host);
+    socket.write(Buffer.concat([
+        Buffer.from([5, 1, 0, 3, name.length]), name, Buffer.from([port >> 8, port & 0xff])
+    ]));
+
+    // Reply length depends on the bound address type
+    const reply = await reader.read(buffer => {
+        if (buffer.length < 5) return -1;
+        return { 1: 10, 4: 22 }[buffer[3]] ?? 7 + buffer[4];
+    });
+    if (reply[1] !== 0) throw new Error(`SOCKS5 connect failed: ${SOCKS5_ERRORS[reply[1]] || `code ${reply[1]}`}`);
+}
+
+// SOCKS4 needs an IPv4 address; SOCKS4a lets the proxy resolve the name
+async function socks4Tunnel(socket, reader, proxyUrl, host, port) {
+    const { username } = credentials(proxyUrl);
+    const remoteDns = proxyUrl.protocol === 'socks4a:';
+    const address = remoteDns ? [0, 0, 0, 1] : (await dns.lookup(host, { family: 4 })).address.split('.').map(Number);
+
+    socket.write(Buffer.concat([
+        Buffer.from([4, 1, port >> 8, port & 0xff, ...address]),
+        Buffer.from(`${username}\0`),
+        remoteDns ? Buffer.from(`${host}\0`) : Buffer.alloc(0)
+    ]));
+
+    const reply = await reader.read(8);
+    if (reply[1] !== 0x5a) throw new Error(`SOCKS4 connect failed (code ${reply[1]})`);
+}
+
+const TUNNELS = {
+    'http:': httpTunnel,
+    'https:': httpTunnel,
+    'socks4:': socks4Tunnel,
+    'socks4a:': socks4Tunnel,
+    'socks5:': socks5Tunnel,
+    'socks5h:': socks5Tunnel
+};
+
+// Status code of a GET for `target`, sent through an open tunnel
+async function requestThrough(socket, target) {
+    const stream = target.protocol === 'https:'
+        ? await new Promise((resolve, reject) => {
+            const secure = tls.connect({ socket, servername: target.hostname }, () => resolve(secure));
+            secure.once('error', reject);
+        })
+        : socket;
+
+    const reader = createReader(stream);
+    stream.write(`GET ${target.pathname}${target.search} HTTP/1.1\r\nHost: ${target.host}\r\n` +
+        'User-Agent: Mozilla/5.0\r\nConnection: close\r\n\r\n');
+
+    const line = (await reader.read(buffer => {
+        const end = buffer.indexOf('\r\n');
+        return end === -1 ? -1 : end + 2;
+    })).toString();
+    const status = Number(line.match(/^HTTP\/\d(?:\.\d)? (\d{3})/)?.[1]);
+    if (!status) throw new Error('Invalid HTTP response through the proxy');
+    return status;
+}
+
+// Fetches the test URL through the proxy: { ok, status, latency, error }.
+// Any answer below 400 counts; a 403 or 429 means the site blocks the proxy.
+export async function checkProxy(proxy, { url = PROXY_HEALTH.url, timeout = PROXY_HEALTH.timeout } = {}) {
+    const proxyUrl = new URL(proxy);
+    const target = new URL(url);
+    const port = Number(target.port) || (target.protocol === 'https:' ? 443 : 80);
+    const started = Date.now();
+    let socket = null;
+    let timer = null;
+
+    try {
+        const status = await Promise.race([
+            (async () => {
+                const connection = connect(proxyUrl);
+                socket = connection.socket;
+                await connection.ready;
+                socket.on('error', () => {}); // surfaced by the reader or the timeout
+                const reader = createReader(socket);
+                await TUNNELS[proxyUrl.protocol](socket, reader, proxyUrl, target.hostname, port);
+                reader.detach();
+                return requestThrough(socket, target);
+            })(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Timed out after ${timeout / 1000}s`)), timeout);
+            })
+        ]);
+
+        const latency = Date.now() - started;
+        return status < 400
+            ? { ok: true, status, latency }
+            : { ok: false, status, latency, error: `HTTP ${status} from ${target.hostname}` };
+    } catch (error) {
+        return { ok: false, status: null, latency: null, error: error.message };
+    } finally {
+        clearTimeout(timer);
+        socket?.destroy();
+    }
+}
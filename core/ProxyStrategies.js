@@ -0,0 +1,96 @@
+// How ProxyRotator.getProxyFor() picks a proxy for each download. Every
+// strategy gets the proxies that aren't cooling down (never an empty list)
+// and the item being downloaded. Set with `proxyStrategy` in the settings file.
+
+function weightedPick(proxies, weight) {
+    const weights = proxies.map(weight);
+    const total = weights.reduce((sum, value) => sum + value, 0);
+    let roll = Math.random() * total;
+    for (let i = 0; i < proxies.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return proxies[i];
+    }
+    return proxies[proxies.length - 1];
+}
+
+// Each download takes the next proxy in list order
+function roundRobin(rotator) {
+    let last = null;
+    return (available) => {
+        const start = rotator.proxies.indexOf(last);
+        for (let i = 1; i <= rotator.proxies.length; i++) {
+            const proxy = rotator.proxies[(start + i) % rotator.proxies.length];
+            if (available.includes(proxy)) return (last = proxy);
+        }
+        return (last = available[0]);
+    };
+}
+
+// Least recently used; proxies not used yet come first
+function leastRecentlyUsed(rotator) {
+    return (available) => available.reduce((best, proxy) =>
+        (rotator.lastUsed.get(proxy) || 0) < (rotator.lastUsed.get(best) || 0) ? proxy : best
+    );
+}
+
+// Random, weighted by success rate. Counting one success and one failure
+// extra gives new proxies an even chance and never rules one out.
+function bySuccessRate(rotator) {
+    return (available) => weightedPick(available, (proxy) => {
+        const { successes = 0, failures = 0 } = rotator.statsOf(proxy);
+        return (successes + 1) / (successes + failures + 2);
+    });
+}
+
+// Random, weighted by average throughput. Untested proxies get the average
+// of the others so they get tried.
+function byThroughput(rotator) {
+    return (available) => {
+        const speeds = available.map(proxy => rotator.throughputOf(proxy));
+        const known = speeds.filter(Boolean);
+        const fallback = known.length ? known.reduce((sum, speed) => sum + speed, 0) / known.length : 1;
+        return weightedPick(available, (proxy) => rotator.throughputOf(proxy) || fallback);
+    };
+}
+
+function random() {
+    return (available) => available[Math.floor(Math.random() * available.length)];
+}
+
+// The same proxy for an item across its retries, until that proxy cools
+// down. New items are spread round-robin.
+function sticky(rotator) {
+    const next = roundRobin(rotator);
+    return (available, item) => {
+        const assigned = item && rotator.assigned.get(item.id);
+        if (assigned && available.includes(assigned)) return assigned;
+
+        const proxy = next(available);
+        if (item) rotator.assigned.set(item.id, proxy);
+        return proxy;
+    };
+}
+
+// One proxy for everything until it fails, as before strategies existed
+function failover(rotator) {
+    return () => rotator.getCurrentProxy();
+}
+
+export const PROXY_STRATEGIES = {
+    'round-robin': roundRobin,
+    'lru': leastRecentlyUsed,
+    'weighted': bySuccessRate,
+    'throughput': byThroughput,
+    'random': random,
+    'sticky': sticky,
+    'failover': failover
+};
+
+// pick(available, item) for the named strategy, bound to its rotator
+export function createStrategy(name, rotator) {
+    const strategy = PROXY_STRATEGIES[name];
+    if (!strategy) {
+        throw new Error(`Unknown proxy strategy "${name}". Use ${Object.keys(PROXY_STRATEGIES).join(', ')}`);
+    }
+    return strategy(rotator);
+}
@@ -0,0 +1,82 @@
+import { serializeItem } from './DownloadQueue.js';
+import Subscriptions from './Subscriptions.js';
+
+// Queue operations by name, shared by the local CLI and the control socket
+// so both behave the same. Results are plain JSON-safe data; errors are thrown.
+const ITEM_ACTIONS = {
+    pause: (queue, { id }) => id === 'all' ? queue.pauseAll() : queue.pause(id),
+    resume: (queue, { id }) => id === 'all' ? queue.resumeAll() : queue.resume(id),
+    cancel: (queue, { id }) => queue.cancel(id),
+    retry: (queue, { id }) => queue.retry(id),
+    remove: (queue, { id }) => queue.remove(id),
+    top: (queue, { id }) => queue.moveToTop(id),
+    bottom: (queue, { id }) => queue.moveToBottom(id),
+    next: (queue, { id }) => queue.downloadNext(id),
+    move: (queue, { id, value }) => queue.moveTo(id, value),
+    priority: (queue, { id, value }) => queue.setPriority(id, value)
+};
+
+// Commands that act on one queue item, given as { id, value }
+export const ITEM_COMMANDS = Object.keys(ITEM_ACTIONS);
+export const QUEUE_COMMANDS = ['add', 'status', 'list', 'history', 'concurrency', 'sync', 'proxies', ...ITEM_COMMANDS];
+
+export async function executeCommand(queue, command, args = {}) {
+    switch (command) {
+        case 'add': {
+            const { urls = [], options = {}, proxies = [] } = args;
+            proxies.forEach(proxy => queue.addProxy(proxy));
+
+            const ids = [];
+            for (const url of urls) {
+                const added = await queue.addUrl(url, options);
+                ids.push(...[].concat(added).filter(Boolean));
+            }
+            return { ids };
+        }
+
+        case 'status': {
+            const status = queue.getDetailedStatus();
+            return {
+                ...status,
+                recentCompleted: status.recentCompleted.map(serializeItem),
+                recentFailed: status.recentFailed.map(serializeItem)
+            };
+        }
+
+        case 'list':
+            return queue.listItems();
+
+        case 'history': {
+            const { limit = 20 } = args;
+            return {
+                completed: queue.completed.slice(-limit).map(serializeItem),
+                failed: queue.failed.slice(-limit).map(serializeItem)
+            };
+        }
+
+        // { value: number | 'auto' } changes it; without a value, reports it
+        case 'concurrency':
+            return args.value === undefined || args.value === null
+                ? queue.getConcurrency()
+                : queue.setConcurrency(args.value);
+
+        // { id } syncs one subscription, otherwise all of them
+        case 'sync':
+            return new Subscriptions(queue.outputDir).sync(queue, args.id || null);
+
+        // Proxy stats; { check: true } health-checks every proxy first
+        case 'proxies': {
+            const results = args.check ? await queue.proxyRotator.checkHealth(queue.proxyRotator.proxies) : null;
+            return { proxies: queue.proxyRotator.describe(), strategy: queue.proxyRotator.strategyName, results };
+        }
+
+        default: {
+            const action = ITEM_ACTIONS[command];
+            if (!action) throw new Error(`Unknown command: ${command}`);
+            if (!args.id) throw new Error(`Missing item id for ${command}`);
+
+            const item = action(queue, args);
+            return item ? serializeItem(item) : null;
+        }
+    }
+}
@@ -0,0 +1,264 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import StateStore from './StateStore.js';
+import { isCollectionUrl } from './Playlist.js';
+import { extractVideoId } from './DownloadArchive.js';
+
+const SCHEDULES_VERSION = 1;
+const SCHEDULE_CHECK_MS = 30 * 1000;
+// Per schedule, enough to remember a busy channel's recent uploads
+const MAX_SEEN = 5000;
+
+const MINUTE = 60 * 1000;
+const INTERVAL_NAMES = { hour: 60 * MINUTE, day: 24 * 60 * MINUTE, week: 7 * 24 * 60 * MINUTE };
+
+// 'day', 'hour', 'week', '30m', '6h', '2d' -> milliseconds
+export function parseInterval(value) {
+    const name = String(value).toLowerCase().replace(/ly$/, '').replace(/^dai$/, 'day');
+    if (INTERVAL_NAMES[name]) return INTERVAL_NAMES[name];
+
+    const match = name.match(/^(\d+)\s*(m|h|d)$/);
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`Invalid interval "${value}". Use hour, day, week or e.g. 30m, 6h, 2d`);
+    }
+    return Number(match[1]) * { m: MINUTE, h: 60 * MINUTE, d: 24 * 60 * MINUTE }[match[2]];
+}
+
+// 'HH:MM' (the next time the clock shows it), 'YYYY-MM-DD HH:MM' or any
+// date Date.parse understands -> Date
+export function parseStartTime(value, now = new Date()) {
+    const clock = String(value).match(/^(\d{1,2}):(\d{2})$/);
+    if (clock) {
+        const start = new Date(now);
+        start.setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+        if (start <= now) start.setDate(start.getDate() + 1);
+        return start;
+    }
+
+    const date = new Date(String(value).replace(' ', 'T'));
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid start time "${value}". Use HH:MM or YYYY-MM-DD HH:MM`);
+    }
+    return date;
+}
+
+function createScheduleId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+// Deferred ("once") and recurring downloads, kept in downloads/.schedules.json
+// next to the queue state. Every operation re-reads the file, so `tuneit
+// schedule ...` can edit it while the daemon is running the schedules.
+export default class Scheduler {
+    constructor(outputDir) {
+        this.outputDir = outputDir;
+        this.store = new StateStore(path.join(outputDir, '.schedules.json'), { version: SCHEDULES_VERSION });
+        this.timer = null;
+        this.running = false;
+    }
+
+    load() {
+        try {
+            return this.store.load()?.schedules || [];
+        } catch (error) {
+            console.error('⚠️ Failed to load schedules:', error.message);
+            return [];
+        }
+    }
+
+    save(schedules) {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        this.store.save({ schedules });
+    }
+
+    // Loads, lets `change` edit the list and saves it again
+    update(change) {
+        const schedules = this.load();
+        const result = change(schedules);
+        this.save(schedules);
+        return result;
+    }
+
+    list() {
+        return this.load();
+    }
+
+    // { urls, options, at, every, name }: `at` is when it first runs
+    // (default: now), `every` makes it recurring
+    add({ urls, options = {}, at = null, every = null, name = null }) {
+        if (!urls || urls.length === 0) throw new Error('A schedule needs at least one URL');
+
+        const interval = every ? parseInterval(every) : null;
+        const start = at ? parseStartTime(at) : new Date();
+
+        const schedule = {
+            id: createScheduleId(),
+            name: name || urls[0],
+            type: interval ? 'recurring' : 'once',
+            urls,
+            options,
+            every: every || null,
+            interval,
+            nextRunAt: start.toISOString(),
+            paused: false,
+            createdAt: new Date().toISOString(),
+            lastRunAt: null,
+            lastAdded: 0,
+            runs: 0,
+            seen: []
+        };
+
+        this.update(schedules => schedules.push(schedule));
+        return schedule;
+    }
+
+    // Any unambiguous prefix of the id, like queue items
+    find(schedules, id) {
+        const matches = schedules.filter(schedule => schedule.id.startsWith(id));
+        if (matches.length > 1) throw new Error(`Schedule id "${id}" is ambiguous`);
+        if (matches.length === 0) throw new Error(`No schedule with id "${id}"`);
+        return matches[0];
+    }
+
+    pause(id) {
+        return this.update(schedules => {
+            const schedule = this.find(schedules, id);
+            schedule.paused = true;
+            return schedule;
+        });
+    }
+
+    resume(id) {
+        return this.update(schedules => {
+            const schedule = this.find(schedules, id);
+            schedule.paused = false;
+            // A recurring schedule that missed runs while paused runs once now
+            if (schedule.nextRunAt && new Date(schedule.nextRunAt) < new Date()) {
+                schedule.nextRunAt = new Date().toISOString();
+            }
+            return schedule;
+        });
+    }
+
+    remove(id) {
+        return this.update(schedules => {
+            const schedule = this.find(schedules, id);
+            schedules.splice(schedules.indexOf(schedule), 1);
+            return schedule;
+        });
+    }
+
+    // Checks for due schedules now and then every SCHEDULE_CHECK_MS
+    start(queue) {
+        this.stop();
+        const tick = () => this.runDue(queue).catch(error => {
+            console.error('⚠️ Running schedules failed:', error.message);
+        });
+        this.timer = setInterval(tick, SCHEDULE_CHECK_MS);
+        tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async runDue(queue, now = new Date()) {
+        // A slow playlist expansion can outlast the check interval
+        if (this.running) return [];
+        this.running = true;
+
+        try {
+            const due = this.load().filter(schedule =>
+                !schedule.paused && schedule.nextRunAt && new Date(schedule.nextRunAt) <= now
+            );
+
+            const reports = [];
+            for (const schedule of due) {
+                reports.push(await this.run(queue, schedule, now));
+            }
+            return reports;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Queues the schedule's URLs through addUrl(). Recurring schedules only
+    // add videos they haven't queued before; the download archive also skips
+    // anything already downloaded. Their first run only notes what channels
+    // and playlists already hold, so later runs pick up new uploads instead
+    // of the whole back catalogue. That first run counts only once every
+    // channel and playlist was listed; otherwise the next run notes again.
+    async run(queue, schedule, now = new Date()) {
+        console.log(`⏰ Running schedule ${schedule.id}: ${schedule.name}`);
+
+        const seen = new Set(schedule.seen);
+        const baseline = schedule.type === 'recurring' && schedule.runs === 0;
+        const isNew = (key) => {
+            if (schedule.type !== 'recurring') return true;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        };
+
+        // addPlaylist() reports a failed listing as an event, not an error
+        const unlisted = new Set();
+        const onFailed = ({ url }) => {
+            if (schedule.urls.includes(url)) unlisted.add(url);
+        };
+        queue.on('playlistFailed', onFailed);
+
+        const ids = [];
+        for (const url of schedule.urls) {
+            try {
+                if (isCollectionUrl(url)) {
+                    const added = await queue.addUrl(url, {
+                        ...schedule.options,
+                        filter: (entry) => isNew(entry.videoId || entry.url) && !baseline
+                    });
+                    ids.push(...[].concat(added).filter(Boolean));
+                } else if (isNew(extractVideoId(url)?.id || url)) {
+                    ids.push(...[].concat(await queue.addUrl(url, schedule.options)).filter(Boolean));
+                }
+            } catch (error) {
+                if (isCollectionUrl(url)) unlisted.add(url);
+                console.log(`❌ Schedule ${schedule.id}: ${url} - ${error.message}`);
+            }
+        }
+        queue.off('playlistFailed', onFailed);
+
+        const nextRunAt = this.nextRun(schedule, now);
+        const counted = !baseline || unlisted.size === 0;
+        if (baseline) {
+            console.log(counted
+                ? `⏰ Schedule ${schedule.id}: ${seen.size} existing video(s) noted, only new uploads will be queued`
+                : `⚠️ Schedule ${schedule.id}: ${unlisted.size} channel(s)/playlist(s) could not be listed, noting existing videos again next run`);
+        }
+        console.log(`⏰ Schedule ${schedule.id} queued ${ids.length} new item(s)` +
+            (nextRunAt ? `, next run ${nextRunAt.toLocaleString()}` : ''));
+
+        // Written back by id: the file may have changed while we were busy
+        this.update(schedules => {
+            const saved = schedules.find(entry => entry.id === schedule.id);
+            if (!saved) return;
+            saved.lastRunAt = now.toISOString();
+            saved.lastAdded = ids.length;
+            if (counted) saved.runs++;
+            saved.seen = [...seen].slice(-MAX_SEEN);
+            saved.nextRunAt = nextRunAt ? nextRunAt.toISOString() : null;
+        });
+
+        return { id: schedule.id, name: schedule.name, added: ids };
+    }
+
+    // Once schedules are done after one run. Recurring ones keep their
+    // rhythm but skip runs missed while TuneIt wasn't running.
+    nextRun(schedule, now) {
+        if (schedule.type !== 'recurring') return null;
+
+        let next = new Date(schedule.nextRunAt).getTime() + schedule.interval;
+        while (next <= now.getTime()) next += schedule.interval;
+        return new Date(next);
+    }
+}
@@ -0,0 +1,105 @@
+import fs from 'node:fs';
+
+// Crash-safe JSON state files. Writes go to a temp file that is fsynced and
+// renamed over the original, so the file on disk is always either the old or
+// the new state, never a truncated one. The previous state is kept as
+// `<file>.bak` and loaded when the primary can't be parsed.
+//
+// Files carry a schema `version`; `migrations[n]` upgrades a version n-1
+// state to version n. Files from before versioning count as version 0.
+//
+// A file load() couldn't read (corrupt along with its backup, or from a newer
+// TuneIt) is never saved over: save() throws until a load succeeds.
+export default class StateStore {
+    constructor(filePath, { version = 1, migrations = {} } = {}) {
+        this.filePath = filePath;
+        this.backupPath = `${filePath}.bak`;
+        this.tempPath = `${filePath}.tmp`;
+        this.version = version;
+        this.migrations = migrations;
+        // Set when load() found a corrupt primary, so save() doesn't move
+        // it over the good backup
+        this.primaryCorrupt = false;
+        this.loadFailed = false;
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath) || fs.existsSync(this.backupPath);
+    }
+
+    // Returns the migrated state, or null when there is nothing to load
+    load() {
+        let readError = null;
+
+        for (const file of [this.filePath, this.backupPath]) {
+            if (!fs.existsSync(file)) continue;
+
+            let state;
+            try {
+                state = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                readError ??= error;
+                if (file === this.filePath) this.primaryCorrupt = true;
+                console.error(`⚠️ ${file} is corrupt (${error.message})`);
+                continue;
+            }
+
+            if (file === this.backupPath) {
+                console.log(`♻️ Restored last good state from ${file}`);
+            }
+            const migrated = this.migrate(state);
+            this.loadFailed = false;
+            return migrated;
+        }
+
+        if (readError) {
+            this.loadFailed = true;
+            throw new Error(`No readable state in ${this.filePath} or its backup`);
+        }
+        this.loadFailed = false;
+        return null;
+    }
+
+    migrate(state) {
+        const from = Number.isInteger(state.version) ? state.version : 0;
+        if (from > this.version) {
+            this.loadFailed = true;
+            throw new Error(`${this.filePath} has schema version ${from}, this TuneIt only knows up to ${this.version}`);
+        }
+
+        let migrated = state;
+        for (let version = from + 1; version <= this.version; version++) {
+            if (this.migrations[version]) migrated = this.migrations[version](migrated);
+        }
+        return { ...migrated, version: this.version };
+    }
+
+    save(state) {
+        if (this.loadFailed) {
+            throw new Error(`Not overwriting ${this.filePath}: it could not be loaded`);
+        }
+        const content = JSON.stringify({ ...state, version: this.version }, null, 2);
+
+        const fd = fs.openSync(this.tempPath, 'w');
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Both renames are atomic; between them only the backup exists,
+        // which load() falls back to
+        if (fs.existsSync(this.filePath) && !this.primaryCorrupt) {
+            fs.renameSync(this.filePath, this.backupPath);
+        }
+        fs.renameSync(this.tempPath, this.filePath);
+        this.primaryCorrupt = false;
+    }
+
+    remove() {
+        for (const file of [this.filePath, this.backupPath, this.tempPath]) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    }
+}
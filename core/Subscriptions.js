@@ -0,0 +1,199 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import StateStore from './StateStore.js';
+import { isCollectionUrl, listsNewestFirst } from './Playlist.js';
+
+const SUBSCRIPTIONS_VERSION = 1;
+
+// Options a subscription passes on to every item it queues
+const ITEM_OPTIONS = ['format', 'quality', 'priority', 'filenameTemplate', 'subtitles', 'splitChapters'];
+
+// '2024-01-31' or '20240131' -> '20240131', the form of yt-dlp's upload_date
+export function parseUploadDate(value) {
+    const match = String(value).match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (!match) throw new Error(`Invalid date "${value}". Use YYYY-MM-DD`);
+    return `${match[1]}${match[2]}${match[3]}`;
+}
+
+function formatUploadDate(date) {
+    return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+}
+
+// "last 10, after 2024-01-31"
+export function describeFilters({ lastN, after }) {
+    const filters = [];
+    if (lastN) filters.push(`last ${lastN}`);
+    if (after) filters.push(`after ${formatUploadDate(after)}`);
+    return filters.join(', ');
+}
+
+function createSubscriptionId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+// Followed channels and playlists, kept in downloads/.subscriptions.json.
+// sync() queues what's new through DownloadQueue.addUrl(), which already
+// skips anything in the download archive.
+export default class Subscriptions {
+    constructor(outputDir) {
+        this.outputDir = outputDir;
+        this.store = new StateStore(path.join(outputDir, '.subscriptions.json'), { version: SUBSCRIPTIONS_VERSION });
+    }
+
+    load() {
+        try {
+            return this.store.load()?.subscriptions || [];
+        } catch (error) {
+            console.error('⚠️ Failed to load subscriptions:', error.message);
+            return [];
+        }
+    }
+
+    update(change) {
+        const subscriptions = this.load();
+        const result = change(subscriptions);
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        this.store.save({ subscriptions });
+        return result;
+    }
+
+    list() {
+        return this.load();
+    }
+
+    // { url, options, lastN, after, outputDir, name }
+    add({ url, options = {}, lastN = null, after = null, outputDir = null, name = null }) {
+        if (!isCollectionUrl(url)) throw new Error(`Not a channel or playlist URL: ${url}`);
+        if (lastN !== null && (!Number.isInteger(lastN) || lastN < 1)) {
+            throw new Error('--last takes a positive number of videos');
+        }
+
+        const subscription = {
+            id: createSubscriptionId(),
+            url,
+            name: name || null,
+            options: Object.fromEntries(ITEM_OPTIONS
+                .filter(key => options[key] !== undefined && options[key] !== null && options[key] !== false)
+                .map(key => [key, options[key]])),
+            lastN,
+            after: after ? parseUploadDate(after) : null,
+            outputDir: outputDir ? path.resolve(outputDir) : null,
+            createdAt: new Date().toISOString(),
+            lastSyncAt: null,
+            lastAdded: 0,
+            totalAdded: 0
+        };
+
+        return this.update(subscriptions => {
+            if (subscriptions.some(existing => existing.url === url)) {
+                throw new Error(`Already subscribed to ${url}`);
+            }
+            subscriptions.push(subscription);
+            return subscription;
+        });
+    }
+
+    // Any unambiguous prefix of the id
+    find(subscriptions, id) {
+        const matches = subscriptions.filter(subscription => subscription.id.startsWith(id));
+        if (matches.length > 1) throw new Error(`Subscription id "${id}" is ambiguous`);
+        if (matches.length === 0) throw new Error(`No subscription with id "${id}"`);
+        return matches[0];
+    }
+
+    remove(id) {
+        return this.update(subscriptions => {
+            const subscription = this.find(subscriptions, id);
+            subscriptions.splice(subscriptions.indexOf(subscription), 1);
+            return subscription;
+        });
+    }
+
+    // Syncs one subscription, or all of them. Returns a report per
+    // subscription: what was queued and why the rest was left out.
+    async sync(queue, id = null) {
+        const all = this.load();
+        const targets = id ? [this.find(all, id)] : all;
+
+        const reports = [];
+        for (const subscription of targets) {
+            reports.push(await this.syncOne(queue, subscription));
+        }
+        return reports;
+    }
+
+    async syncOne(queue, subscription) {
+        const { lastN, after } = subscription;
+        const report = {
+            id: subscription.id,
+            name: subscription.name || subscription.url,
+            found: 0, tooOld: 0, undated: 0, pending: 0, archived: 0, added: []
+        };
+
+        // Newest first for channels, so "last N" is the head of the list;
+        // playlists keep their order and their last N are at the end
+        const items = lastN ? (listsNewestFirst(subscription.url) ? `1:${lastN}` : `-${lastN}:`) : null;
+
+        // Videos from the last sync may still be waiting in the queue
+        const pending = new Set([...queue.queue, ...queue.processing.values(), ...queue.paused].map(item => item.url));
+
+        // Entries without a known upload date are let through and counted,
+        // so the report can say the date filter wasn't applied to them; the
+        // archive still stops anything already downloaded
+        const filter = (entry) => {
+            report.found++;
+            if (after && !entry.uploadDate) report.undated++;
+            if (after && entry.uploadDate && entry.uploadDate < after) {
+                report.tooOld++;
+                return false;
+            }
+            if (pending.has(entry.url)) {
+                report.pending++;
+                return false;
+            }
+            return true;
+        };
+
+        const onExpanded = ({ url, title }) => {
+            if (url === subscription.url && !subscription.name) report.name = title;
+        };
+        const onFailed = ({ url, error }) => {
+            if (url === subscription.url) report.error = error.message;
+        };
+        queue.on('playlistExpanded', onExpanded);
+        queue.on('playlistFailed', onFailed);
+
+        try {
+            const ids = [].concat(await queue.addUrl(subscription.url, {
+                ...subscription.options,
+                outputDir: subscription.outputDir,
+                items,
+                dates: Boolean(after),
+                filter
+            })).filter(Boolean);
+
+            report.added = ids.map(itemId => {
+                const found = queue.findItem(itemId);
+                return { id: itemId, title: found ? found.item.title : itemId };
+            });
+            report.archived = report.found - report.tooOld - report.pending - ids.length;
+        } catch (error) {
+            report.error = error.message;
+        } finally {
+            queue.off('playlistExpanded', onExpanded);
+            queue.off('playlistFailed', onFailed);
+        }
+
+        this.update(subscriptions => {
+            const saved = subscriptions.find(entry => entry.id === subscription.id);
+            if (!saved) return;
+            if (!saved.name && report.name !== saved.url) saved.name = report.name;
+            saved.lastSyncAt = new Date().toISOString();
+            saved.lastAdded = report.added.length;
+            saved.totalAdded += report.added.length;
+        });
+
+        return report;
+    }
+}
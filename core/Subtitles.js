@@ -0,0 +1,56 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+
+// Subtitle files yt-dlp wrote next to the media: "<base>.<lang>.<ext>"
+export function findSubtitleFiles(basePath) {
+    const dir = path.dirname(basePath);
+    const prefix = `${path.basename(basePath)}.`;
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix) && SUBTITLE_EXTENSIONS.includes(path.extname(name)))
+        .map(name => ({
+            path: path.join(dir, name),
+            language: name.slice(prefix.length, -path.extname(name).length),
+            format: path.extname(name).slice(1)
+        }));
+}
+
+// Plain text from SRT or WebVTT: drops headers, cue numbers, timings and
+// markup, and collapses the repeated lines of rolling auto-captions.
+export function subtitlesToText(content) {
+    const lines = [];
+    let previous = null;
+
+    for (const block of content.replace(/\r/g, '').split(/\n{2,}/)) {
+        if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block.trim())) continue;
+
+        for (const rawLine of block.split('\n')) {
+            if (rawLine.includes('-->') || /^\d+$/.test(rawLine.trim())) continue;
+
+            const line = rawLine
+                .replace(/<[^>]+>/g, '')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&amp;/g, '&')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .trim();
+
+            if (!line || line === previous) continue;
+            lines.push(line);
+            previous = line;
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+export function writeTranscript(subtitleFile) {
+    const transcriptPath = subtitleFile.path.slice(0, -path.extname(subtitleFile.path).length) + '.txt';
+    const content = fs.readFileSync(subtitleFile.path, 'utf8');
+    fs.writeFileSync(transcriptPath, subtitlesToText(content));
+
+    return { path: transcriptPath, language: subtitleFile.language, format: 'txt' };
+}
@@ -0,0 +1,111 @@
+import { ID3_TAGGING } from './Config.js';
+import { spawn } from 'child_process';
+import fs from 'node:fs';
+
+// Common suffixes that belong to the video, not the song
+const TITLE_NOISE = /\s*[([](official\s+)?(music\s+|lyric\s+)?(video|audio|visualizer|lyrics?)[)\]]/gi;
+
+export function parseArtistTitle(title) {
+    const match = (title || '').match(/^(.+?)\s+[-–—]\s+(.+)$/);
+    if (!match) return null;
+
+    return {
+        artist: match[1].trim(),
+        title: match[2].replace(TITLE_NOISE, '').trim()
+    };
+}
+
+export function readInfoJson(infoPath) {
+    try {
+        return JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// Map yt-dlp's info JSON (plus the queue item's playlist context) onto the
+// tags enabled in config.
+export function buildTags(info, item, config = ID3_TAGGING) {
+    const { fields } = config;
+    const source = info || {};
+
+    let title = source.title || item.title;
+    let artist = source.uploader || source.channel || null;
+
+    if (config.parseArtistTitle) {
+        const parsed = parseArtistTitle(title);
+        if (parsed) ({ artist, title } = parsed);
+    }
+
+    const tags = {};
+    if (fields.title && title) tags.title = title;
+    if (fields.artist && artist) tags.artist = artist;
+
+    const album = item.playlistTitle || source.playlist_title;
+    if (fields.album && album) tags.album = album;
+
+    const track = item.playlistIndex || source.playlist_index;
+    if (fields.track && track) tags.track = String(track);
+
+    const year = source.release_year || source.upload_date?.slice(0, 4);
+    if (fields.year && year) tags.date = String(year);
+
+    const url = source.webpage_url || item.url;
+    if (fields.comment && url) tags.comment = url;
+
+    return tags;
+}
+
+// Rewrites the MP3 with ID3v2.4 tags (and optional cover art) through ffmpeg,
+// then swaps it in place of the original.
+export function tagMp3(filePath, tags, coverPath = null) {
+    return new Promise((resolve, reject) => {
+        const tempPath = `${filePath}.tagging`;
+        const hasCover = coverPath && fs.existsSync(coverPath);
+
+        const args = ['-y', '-loglevel', 'error', '-i', filePath];
+        if (hasCover) args.push('-i', coverPath);
+
+        args.push('-map', '0:a');
+        if (hasCover) {
+            args.push(
+                '-map', '1:v',
+                '-disposition:v', 'attached_pic',
+                '-metadata:s:v', 'title=Album cover',
+                '-metadata:s:v', 'comment=Cover (front)'
+            );
+        }
+
+        args.push('-c', 'copy', '-map_metadata', '-1', '-id3v2_version', '4', '-write_id3v1', '0');
+        for (const [key, value] of Object.entries(tags)) {
+            args.push('-metadata', `${key}=${value}`);
+        }
+        args.push('-f', 'mp3', tempPath);
+
+        const proc = spawn('ffmpeg', args);
+        let errorOutput = '';
+
+        proc.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        proc.on('close', (code) => {
+            if (code !== 0) {
+                fs.rm(tempPath, { force: true }, () => {});
+                reject(new Error(errorOutput.trim() || `ffmpeg exited with code ${code}`));
+                return;
+            }
+
+            try {
+                fs.renameSync(tempPath, filePath);
+                resolve();
+            } catch (error) {
+                reject(error);
+            }
+        });
+
+        proc.on('error', (error) => {
+            reject(new Error(`Failed to start ffmpeg: ${error.message}`));
+        });
+    });
+}
@@ -0,0 +1,89 @@
+// Machine-readable progress from yt-dlp. Instead of scraping the human
+// "[download]  42.0% of 3.50MiB at 1.2MiB/s ETA 00:02" lines, yt-dlp prints
+// one prefixed JSON object per update through --progress-template.
+
+export const PROGRESS_PREFIX = '[tuneit]';
+
+const DOWNLOAD_FIELDS = 'status,downloaded_bytes,total_bytes,total_bytes_estimate,speed,eta,fragment_index,fragment_count';
+
+// Postprocessor names -> stages shown to the user
+const POSTPROCESSOR_STAGES = {
+    Merger: 'merging',
+    FFmpegMerger: 'merging',
+    ExtractAudio: 'extracting',
+    FFmpegExtractAudio: 'extracting',
+    EmbedSubtitle: 'embedding',
+    FFmpegEmbedSubtitle: 'embedding',
+    EmbedThumbnail: 'embedding',
+    FFmpegMetadata: 'embedding',
+    Metadata: 'embedding'
+};
+
+export function getProgressArgs() {
+    return [
+        '--newline',
+        '--progress-template',
+        `download:${PROGRESS_PREFIX} {"type":"download","progress":%(progress.{${DOWNLOAD_FIELDS}})j,"vcodec":%(info.vcodec)j,"acodec":%(info.acodec)j}`,
+        '--progress-template',
+        `postprocess:${PROGRESS_PREFIX} {"type":"postprocess","progress":%(progress.{status,postprocessor})j}`
+    ];
+}
+
+// Which stream a download belongs to, from the format being fetched
+function downloadStage(vcodec, acodec) {
+    const hasVideo = vcodec && vcodec !== 'none';
+    const hasAudio = acodec && acodec !== 'none';
+
+    if (hasVideo && !hasAudio) return 'video';
+    if (hasAudio && !hasVideo) return 'audio';
+    return 'download';
+}
+
+function toNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// Returns a progress event for a template line, or null for any other output
+export function parseProgressLine(line) {
+    const start = line.indexOf(PROGRESS_PREFIX);
+    if (start === -1) return null;
+
+    let data;
+    try {
+        data = JSON.parse(line.slice(start + PROGRESS_PREFIX.length).trim());
+    } catch {
+        return null;
+    }
+
+    const progress = data.progress || {};
+
+    if (data.type === 'postprocess') {
+        return {
+            stage: POSTPROCESSOR_STAGES[progress.postprocessor] || 'processing',
+            status: progress.status,
+            postprocessor: progress.postprocessor
+        };
+    }
+
+    const bytesDownloaded = toNumber(progress.downloaded_bytes) ?? 0;
+    const totalBytes = toNumber(progress.total_bytes) ?? toNumber(progress.total_bytes_estimate);
+    const fragmentIndex = toNumber(progress.fragment_index);
+    const fragmentCount = toNumber(progress.fragment_count);
+
+    let percent = 0;
+    if (progress.status === 'finished') percent = 100;
+    else if (totalBytes) percent = (bytesDownloaded / totalBytes) * 100;
+    else if (fragmentIndex && fragmentCount) percent = (fragmentIndex / fragmentCount) * 100;
+
+    return {
+        stage: downloadStage(data.vcodec, data.acodec),
+        status: progress.status,
+        percent: Math.min(percent, 100),
+        bytesDownloaded,
+        totalBytes,
+        speed: toNumber(progress.speed) ?? 0,
+        eta: toNumber(progress.eta),
+        fragmentIndex,
+        fragmentCount
+    };
+}
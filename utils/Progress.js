@@ -1,6 +1,15 @@
 import chalk from 'chalk';
 import { performance } from 'perf_hooks';
 
+const STAGE_LABELS = {
+    merging: 'Merging',
+    extracting: 'Extracting',
+    embedding: 'Embedding',
+    processing: 'Processing',
+    tagging: 'Tagging',
+    splitting: 'Splitting'
+};
+
 export default class ProgressDashboard {
     constructor() {
         this.activeDownloads = new Map();
@@ -33,6 +42,11 @@ export default class ProgressDashboard {
         console.log(chalk.dim('\n📊 Starting downloads...\n'));
     }
 
+    // Playlists count as one file until they are expanded into their entries
+    addToTotal(count) {
+        this.stats.totalFiles = Math.max(0, this.stats.totalFiles + count);
+    }
+
     addDownload(itemId, title, totalSize = 100) {
         if (!this.isActive) return;
 
@@ -55,11 +69,21 @@ export default class ProgressDashboard {
 
         const download = this.activeDownloads.get(itemId);
         download.progress = Math.round(progressInfo.percent || 0);
-        download.speed = this.cleanSpeed(progressInfo.speed || '0');
-        download.eta = this.cleanETA(progressInfo.estimate || 'Unknown');
+        if (progressInfo.stage === 'splitting') download.status = 'splitting';
+
+        // Post-download stages have no transfer speed; show the stage instead
+        const stageLabel = STAGE_LABELS[progressInfo.stage];
+        if (stageLabel && !progressInfo.speed) {
+            download.speed = stageLabel;
+            download.eta = '...';
+        } else {
+            download.speed = this.formatSpeed(progressInfo.speed);
+            download.eta = this.formatETA(progressInfo.eta);
+        }
     }
 
-    completeDownload(itemId, success = true) {
+    // fileCount > 1 when one download produced several files (chapter split)
+    completeDownload(itemId, success = true, fileCount = 1) {
         if (!this.isActive || !this.activeDownloads.has(itemId)) return;
 
         const download = this.activeDownloads.get(itemId);
@@ -69,7 +93,8 @@ export default class ProgressDashboard {
             download.speed = 'Complete';
             download.eta = 'Done';
             download.status = 'completed';
-            this.stats.completedFiles++;
+            this.stats.completedFiles += fileCount;
+            this.addToTotal(fileCount - 1);
             
             // Show completion briefly then remove
             setTimeout(() => {
@@ -88,6 +113,12 @@ export default class ProgressDashboard {
         }
     }
 
+    // Paused, cancelled or removed: no longer counts towards this session
+    removeDownload(itemId) {
+        if (!this.activeDownloads.delete(itemId)) return;
+        this.addToTotal(-1);
+    }
+
     renderProgress() {
         if (!this.isActive || this.activeDownloads.size === 0) return;
 
@@ -140,11 +171,13 @@ export default class ProgressDashboard {
         let icon = '⬇️';
         if (status === 'completed') icon = '✅';
         else if (status === 'failed') icon = '❌';
+        else if (status === 'splitting') icon = '✂️';
         
         // Color based on status
         let progressColor = chalk.blue;
         if (status === 'completed') progressColor = chalk.green;
         else if (status === 'failed') progressColor = chalk.red;
+        else if (status === 'splitting') progressColor = chalk.magenta;
         
         return `${icon} ${progressColor(bar)} ${chalk.yellow(progress + '%').padStart(4)} ` +
                `${chalk.white(title.padEnd(35))} ` +
@@ -199,23 +232,21 @@ export default class ProgressDashboard {
         return title.substring(0, maxLength - 3) + '...';
     }
 
-    cleanSpeed(speed) {
-        if (!speed || speed === 'Unknown') return '0 KB/s';
-        if (speed.includes('Complete') || speed.includes('Done')) return 'Complete';
-        if (speed.includes('Failed') || speed.includes('Error')) return 'Failed';
-        
-        // Extract just the speed value
-        const match = speed.match(/([\d.]+\s*[KMG]?B\/s)/);
-        return match ? match[1] : speed.substring(0, 10);
+    formatSpeed(bytesPerSecond) {
+        if (!bytesPerSecond) return '0 KB/s';
+        const units = ['B/s', 'KB/s', 'MB/s', 'GB/s'];
+        let value = bytesPerSecond;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
     }
 
-    cleanETA(eta) {
-        if (!eta || eta === 'Unknown' || eta === 'Calculating...') return '...';
-        if (eta.includes('Done') || eta.includes('Complete')) return 'Done';
-        if (eta.includes('Error') || eta.includes('Failed')) return 'Error';
-        
-        // Clean up ETA format
-        return eta.replace(/^ETA\s*:?\s*/, '').substring(0, 8);
+    formatETA(seconds) {
+        if (seconds === null || seconds === undefined) return '...';
+        return this.formatDuration(seconds * 1000);
     }
 
     formatDuration(ms) {
@@ -0,0 +1,235 @@
+// TuneIt web UI. Talks to the local API (core/ApiServer.js) and follows the
+// queue through its event stream; no framework, no build step.
+
+const ACTIONS = {
+  processing: ['pause', 'cancel'],
+  queued: ['next', 'pause', 'cancel'],
+  paused: ['resume', 'cancel'],
+  failed: ['retry', 'remove'],
+  cancelled: ['retry', 'remove'],
+  completed: ['remove']
+};
+const STATUS_ORDER = ['processing', 'queued', 'paused', 'failed', 'cancelled', 'completed'];
+const RECENT_COMPLETED = 10;
+
+let token = localStorage.getItem('tuneitToken') || '';
+let formats = [];
+let events = null;
+let reloadTimer = null;
+let filesPath = '';
+
+const $ = (selector) => document.querySelector(selector);
+
+function el(tag, attributes = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [key, value] of Object.entries(attributes)) {
+    if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+    else node.setAttribute(key, value);
+  }
+  node.append(...children.filter(child => child !== null && child !== undefined));
+  return node;
+}
+
+function withToken(url) {
+  return token ? `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : url;
+}
+
+function askForToken() {
+  return new Promise((resolve) => {
+    const dialog = $('#token-dialog');
+    $('#token-form').onsubmit = () => {
+      token = $('#token').value.trim();
+      localStorage.setItem('tuneitToken', token);
+      resolve();
+    };
+    dialog.showModal();
+  });
+}
+
+async function api(path, { method = 'GET', body } = {}) {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (response.status === 401) {
+    await askForToken();
+    connectEvents();
+    return api(path, { method, body });
+  }
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatSeconds(seconds) {
+  if (seconds === null || seconds === undefined) return '';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${Math.round(seconds % 60)}s` : `${Math.round(seconds)}s`;
+}
+
+// ---- Add form ----
+
+function fillQualities() {
+  const format = formats.find(f => f.id === $('#format').value);
+  $('#quality').replaceChildren(...(format?.qualities || []).map(q => el('option', { value: q }, q)));
+}
+
+async function loadFormats() {
+  formats = await api('/api/formats');
+  $('#format').replaceChildren(...formats.map(f => el('option', { value: f.id }, f.label)));
+  fillQualities();
+}
+
+async function addDownloads(event) {
+  event.preventDefault();
+  const urls = $('#urls').value.split(/\s+/).filter(Boolean);
+  const message = $('#add-message');
+
+  try {
+    const { ids } = await api('/api/downloads', {
+      method: 'POST',
+      body: { urls, format: $('#format').value, quality: $('#quality').value, priority: $('#priority').value }
+    });
+    message.textContent = `Queued ${ids.length} item(s)`;
+    message.className = 'message ok';
+    $('#urls').value = '';
+  } catch (error) {
+    message.textContent = error.message;
+    message.className = 'message error';
+  }
+}
+
+// ---- Queue ----
+
+function progressCell(item) {
+  const progress = item.progress || {};
+  const percent = item.status === 'completed' ? 100 : Math.round(progress.percent || 0);
+  const details = progress.speed
+    ? `${formatBytes(progress.speed)}/s ${formatSeconds(progress.eta)}`
+    : progress.stage && !['video', 'audio', 'download'].includes(progress.stage) ? progress.stage : '';
+
+  return el('td', { class: 'progress' },
+    el('div', { class: 'bar' }, el('div', { class: 'fill', style: `width: ${percent}%` })),
+    el('span', { class: 'dim' }, `${percent}% ${details}`)
+  );
+}
+
+function itemRow(item) {
+  const buttons = (ACTIONS[item.status] || []).map(action =>
+    el('button', { class: 'small', onclick: () => runAction(item.id, action) }, action)
+  );
+
+  return el('tr', { 'data-id': item.id, class: item.status },
+    el('td', { title: item.error || item.url }, item.title, item.error ? el('div', { class: 'error' }, item.errorCategory ? `${item.errorCategory}: ${item.error}` : item.error) : null),
+    el('td', {}, `${item.format.toUpperCase()} ${item.quality}`),
+    el('td', {}, item.status),
+    progressCell(item),
+    el('td', { class: 'actions' }, ...buttons)
+  );
+}
+
+async function loadItems() {
+  const groups = await api('/api/items');
+  const items = STATUS_ORDER.flatMap(status =>
+    status === 'completed' ? (groups.completed || []).slice(-RECENT_COMPLETED).reverse() : groups[status] || []
+  );
+
+  $('#items tbody').replaceChildren(...items.map(itemRow));
+  $('#empty').hidden = items.length > 0;
+}
+
+function scheduleReload() {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => {
+    loadItems().catch(() => {});
+    loadFiles(filesPath).catch(() => {});
+  }, 300);
+}
+
+async function runAction(id, action) {
+  try {
+    if (action === 'remove') await api(`/api/items/${id}`, { method: 'DELETE' });
+    else await api(`/api/items/${id}/${action}`, { method: 'POST' });
+  } catch (error) {
+    alert(error.message);
+  }
+  scheduleReload();
+}
+
+function updateProgress({ itemId, ...progress }) {
+  const row = document.querySelector(`tr[data-id="${CSS.escape(itemId)}"]`);
+  if (!row) return scheduleReload();
+  row.children[3].replaceWith(progressCell({ status: 'processing', progress }));
+}
+
+function connectEvents() {
+  if (events) events.close();
+  events = new EventSource(withToken('/api/events'));
+
+  events.addEventListener('snapshot', () => loadItems().catch(() => {}));
+  events.addEventListener('progress', (e) => updateProgress(JSON.parse(e.data).data));
+  events.addEventListener('aggregateProgress', (e) => {
+    const { activeDownloads, totalSpeed, eta } = JSON.parse(e.data).data;
+    $('#summary').textContent = activeDownloads > 0
+      ? `${activeDownloads} downloading · ${formatBytes(totalSpeed)}/s · ETA ${eta}`
+      : '';
+  });
+  for (const type of ['queueUpdated', 'downloadStarted', 'downloadCompleted', 'downloadFailed',
+    'itemPaused', 'itemResumed', 'itemCancelled', 'itemRetried', 'itemRemoved', 'itemMoved']) {
+    events.addEventListener(type, scheduleReload);
+  }
+}
+
+// ---- Files ----
+
+async function loadFiles(folder = '') {
+  const { path, entries } = await api(`/api/files?path=${encodeURIComponent(folder)}`);
+  filesPath = path;
+  $('#files-path').textContent = path ? `/ ${path}` : '';
+
+  const rows = entries.map(entry => entry.type === 'folder'
+    ? el('li', { class: 'folder' }, el('a', { href: '#', onclick: (e) => { e.preventDefault(); loadFiles(entry.path); } }, `📁 ${entry.name}`))
+    : el('li', {},
+      el('a', { href: withToken(`/files/${entry.path.split('/').map(encodeURIComponent).join('/')}`) }, `📄 ${entry.name}`),
+      el('span', { class: 'dim' }, ` ${formatBytes(entry.size)}`)
+    ));
+
+  if (path) {
+    const parent = path.split('/').slice(0, -1).join('/');
+    rows.unshift(el('li', { class: 'folder' }, el('a', { href: '#', onclick: (e) => { e.preventDefault(); loadFiles(parent); } }, '⬆️ ..')));
+  }
+  $('#files').replaceChildren(...rows);
+}
+
+// ---- Start ----
+
+$('#format').addEventListener('change', fillQualities);
+$('#add-form').addEventListener('submit', addDownloads);
+
+loadFormats()
+  .then(() => {
+    connectEvents();
+    return Promise.all([loadItems(), loadFiles()]);
+  })
+  .catch(error => {
+    $('#add-message').textContent = error.message;
+    $('#add-message').className = 'message error';
+  });